@@ -0,0 +1,338 @@
+(function (Ember, DS, Firebase, undefined) {
+
+  var get = Ember.get,
+      fmt = Ember.String.fmt,
+      forEach = Ember.EnumerableUtils.forEach;
+
+  /**
+   * An Ember Data adapter that stores records in Firebase, using one location
+   * for each model type, e.g. App.BlogPost records are stored at /blogPosts/<id>.
+   * Records are kept up to date in the store as they change in Firebase.
+   *
+   *   App.ApplicationAdapter = DS.FirebaseAdapter.extend({
+   *     firebase: new Firebase('https://my-firebase.firebaseio.com')
+   *   });
+   */
+  DS.FirebaseAdapter = DS.Adapter.extend({
+
+    defaultSerializer: '_firebase',
+
+    /**
+     * The Firebase location reference under which records are stored.
+     */
+    firebase: null,
+
+    init: function () {
+      this._super();
+      this._watchers = {};
+      this._recordWatchers = {};
+    },
+
+    willDestroy: function () {
+      for (var path in this._watchers) {
+        this._watchers[path].destroy();
+      }
+
+      for (var url in this._recordWatchers) {
+        var watcher = this._recordWatchers[url];
+        watcher.ref.off('value', watcher.callback);
+      }
+    },
+
+    /**
+     * Returns the name of the location where records of the given type are
+     * stored, relative to `firebase`.
+     */
+    pathForType: function (type) {
+      return Ember.String.pluralize(Ember.String.camelize(type.typeKey));
+    },
+
+    /**
+     * Returns the location reference for the given type, or for the record
+     * of that type with the given id.
+     */
+    refForType: function (type, id) {
+      var firebase = get(this, 'firebase');
+
+      if (!firebase) {
+        throw new Error(fmt('Cannot find the ref for %@, firebase is missing', [ type ]));
+      }
+
+      var ref = firebase.child(this.pathForType(type));
+
+      return id == null ? ref : ref.child(id);
+    },
+
+    /**
+     * Records get the name of a new child ref as their id. These names are
+     * unique across all locations, so the store doesn't need to pass the record.
+     */
+    generateIdForRecord: function (store, record) {
+      var firebase = get(this, 'firebase');
+
+      if (!firebase) {
+        throw new Error(fmt('Cannot generate an id for %@, firebase is missing', [ this ]));
+      }
+
+      return firebase.push().name();
+    },
+
+    find: function (store, type, id) {
+      var adapter = this;
+      var ref = this.refForType(type, id);
+
+      return Firebase.get(ref, getPayload).then(function (payload) {
+        if (payload === null) {
+          throw new Error(fmt('Cannot find %@ with id %@', [ type, id ]));
+        }
+
+        adapter._watchRecord(store, type, ref);
+
+        return payload;
+      });
+    },
+
+    findAll: function (store, type) {
+      var ref = this.refForType(type);
+
+      // Wait for the watcher to load so that it doesn't miss
+      // changes that are made right after the records are found.
+      return this._watchType(store, type, ref).ready().then(function () {
+        return Firebase.get(ref, getPayloads);
+      });
+    },
+
+    /**
+     * Finds the records that match a query with the given `limit`, `startAt`
+     * and `endAt` properties. See Firebase.List#limit.
+     */
+    findQuery: function (store, type, query) {
+      var ref = this.refForType(type);
+
+      if (query.startAt !== undefined || query.startAtName !== undefined) {
+        ref = ref.startAt(query.startAt === undefined ? null : query.startAt, query.startAtName);
+      }
+
+      if (query.endAt !== undefined || query.endAtName !== undefined) {
+        ref = ref.endAt(query.endAt === undefined ? null : query.endAt, query.endAtName);
+      }
+
+      if (query.limit != null) {
+        ref = ref.limit(query.limit);
+      }
+
+      return Firebase.get(ref, getPayloads);
+    },
+
+    createRecord: function (store, type, record) {
+      var data = this.serialize(record);
+
+      return Firebase.set(this.refForType(type, get(record, 'id')), data).then(function () {
+        return null;
+      });
+    },
+
+    updateRecord: function (store, type, record) {
+      var data = this.serialize(record);
+
+      return Firebase.update(this.refForType(type, get(record, 'id')), data).then(function () {
+        return null;
+      });
+    },
+
+    deleteRecord: function (store, type, record) {
+      return Firebase.remove(this.refForType(type, get(record, 'id'))).then(function () {
+        return null;
+      });
+    },
+
+    // Pushes changes to a single record into the store.
+    _watchRecord: function (store, type, ref) {
+      var url = ref.toString();
+
+      if (this._recordWatchers[url]) return;
+
+      var adapter = this;
+
+      var callback = function (snapshot) {
+        if (snapshot.val() === null) {
+          adapter._unloadRecord(store, type, snapshot.name());
+        } else {
+          adapter._pushRecord(store, type, snapshot);
+        }
+      };
+
+      this._recordWatchers[url] = { ref: ref, callback: callback };
+      ref.on('value', callback);
+    },
+
+    // Pushes changes to all records of the given type into the store.
+    // Returns the watcher, which is discarded if it can't read the records.
+    _watchType: function (store, type, ref) {
+      var path = this.pathForType(type);
+      var watchers = this._watchers;
+
+      if (watchers[path]) return watchers[path];
+
+      var watcher = watchers[path] = TypeWatcher.create({
+        ref: ref,
+        adapter: this,
+        store: store,
+        type: type
+      });
+
+      watcher.ready().then(null, function () {
+        if (watchers[path] === watcher) {
+          delete watchers[path];
+          watcher.destroy();
+        }
+      });
+
+      return watcher;
+    },
+
+    _pushRecord: function (store, type, snapshot) {
+      // Records with local changes are updated when they are saved.
+      if (this._isBusy(store, type, snapshot.name())) return;
+
+      var serializer = store.serializerFor(type.typeKey);
+      store.push(type, serializer.normalize(type, getPayload(snapshot)));
+    },
+
+    _unloadRecord: function (store, type, id) {
+      if (!store.hasRecordForId(type, id) || this._isBusy(store, type, id)) return;
+
+      store.getById(type, id).unloadRecord();
+    },
+
+    _isBusy: function (store, type, id) {
+      if (!store.hasRecordForId(type, id)) return false;
+
+      var record = store.getById(type, id);
+      return get(record, 'isSaving') || get(record, 'isDirty');
+    },
+
+    toString: function () {
+      return 'DS.FirebaseAdapter';
+    }
+
+  });
+
+  /**
+   * An Ember Data serializer for records stored in Firebase. The id of a
+   * record is the name of its location, so it isn't stored with the record.
+   * Like Firebase.hasMany, hasMany relationships are stored as an index of
+   * ids, e.g. { "id1": true, "id2": true }.
+   */
+  DS.FirebaseSerializer = DS.JSONSerializer.extend({
+
+    serialize: function (record, options) {
+      var json = this._super(record, options);
+
+      // Firebase doesn't allow undefined values, e.g. of
+      // attributes that were never set.
+      for (var key in json) {
+        if (json[key] === undefined) {
+          json[key] = null;
+        }
+      }
+
+      return json;
+    },
+
+    normalize: function (type, hash) {
+      if (hash) {
+        type.eachRelationship(function (key, relationship) {
+          var payloadKey = this.keyForRelationship ? this.keyForRelationship(key, relationship.kind) : key;
+          var value = hash[payloadKey];
+
+          if (relationship.kind === 'hasMany' && value && !Ember.isArray(value)) {
+            hash[payloadKey] = Ember.keys(value);
+          }
+        }, this);
+      }
+
+      return this._super(type, hash);
+    },
+
+    serializeHasMany: function (record, json, relationship) {
+      var key = relationship.key;
+      var payloadKey = this.keyForRelationship ? this.keyForRelationship(key, 'hasMany') : key;
+      var records = get(record, key);
+      var index = {};
+
+      // Async relationships only get their content once the related records
+      // are loaded, but their ids are known as soon as the property is read.
+      if (relationship.options.async) {
+        records = record._relationships[key];
+      }
+
+      forEach(records, function (relatedRecord) {
+        index[get(relatedRecord, 'id')] = true;
+      });
+
+      json[payloadKey] = index;
+    }
+
+  });
+
+  // Uses the child listeners of a Firebase.Proxy to keep the
+  // records of a type up to date in the store.
+  var TypeWatcher = Ember.Object.extend(Firebase.Proxy, {
+
+    adapter: null,
+    store: null,
+    type: null,
+
+    childWasAdded: function (snapshot) {
+      get(this, 'adapter')._pushRecord(get(this, 'store'), get(this, 'type'), snapshot);
+    },
+
+    childWasChanged: function (snapshot) {
+      get(this, 'adapter')._pushRecord(get(this, 'store'), get(this, 'type'), snapshot);
+    },
+
+    childWasRemoved: function (snapshot) {
+      get(this, 'adapter')._unloadRecord(get(this, 'store'), get(this, 'type'), snapshot.name());
+    }
+
+  });
+
+  // Make the serializer available as the adapter's defaultSerializer.
+  Ember.onLoad('Ember.Application', function (Application) {
+    Application.initializer({
+      name: 'firebaseSerializer',
+
+      initialize: function (container, application) {
+        application.register('serializer:_firebase', DS.FirebaseSerializer);
+      }
+    });
+  });
+
+  // Returns the payload for the record in the given snapshot,
+  // which includes its id.
+  function getPayload(snapshot) {
+    var value = snapshot.val();
+
+    if (value === null) {
+      return null;
+    }
+
+    value.id = snapshot.name();
+
+    return value;
+  }
+
+  // Returns an array of the payloads for the records in the given
+  // snapshot, in order.
+  function getPayloads(snapshot) {
+    var payloads = [];
+
+    snapshot.forEach(function (childSnapshot) {
+      payloads.push(getPayload(childSnapshot));
+    });
+
+    return payloads;
+  }
+
+}(Ember, DS, Firebase));
@@ -96,24 +96,336 @@
   };
 
   /**
-   * Updates the given ref using the update callback in a transaction.
+   * Sets the priority of the given ref. Returns a promise that resolves to
+   * the ref when the sync is complete.
    */
-  Firebase.transaction = function (ref, updateCallback, createValueFromSnapshot) {
-    createValueFromSnapshot = createValueFromSnapshot || getSnapshotValue;
-
+  Firebase.setPriority = function (ref, priority) {
     var deferred = RSVP.defer();
 
-    ref.transaction(updateCallback, function (error, committed, snapshot) {
+    ref.setPriority(priority, function (error) {
       if (error) {
         deferred.reject(error);
       } else {
-        deferred.resolve(createValueFromSnapshot(snapshot));
+        deferred.resolve(ref);
       }
     });
 
     return deferred.promise;
   };
 
+  /**
+   * Returns an object for queueing writes to the given ref that the server
+   * makes when the client disconnects, like ref.onDisconnect(). Each of its
+   * `set`, `setWithPriority`, `update`, `remove` and `cancel` methods returns
+   * a promise that resolves to the ref once the server has queued the write.
+   *
+   *   Firebase.onDisconnect(typingRef).remove().then(function () {
+   *     return Firebase.set(typingRef, true);
+   *   });
+   */
+  Firebase.onDisconnect = function (ref) {
+    return new OnDisconnect(ref);
+  };
+
+  function OnDisconnect(ref) {
+    this._ref = ref;
+  }
+
+  OnDisconnect.prototype = {
+
+    constructor: OnDisconnect,
+
+    /**
+     * Sets the value of the ref when the client disconnects.
+     */
+    set: function (object) {
+      return this._queue('set', [ getFirebaseValue(object) ]);
+    },
+
+    /**
+     * Sets the value and priority of the ref when the client disconnects.
+     */
+    setWithPriority: function (object, priority) {
+      return this._queue('setWithPriority', [ getFirebaseValue(object), priority ]);
+    },
+
+    /**
+     * Updates the ref with the given object when the client disconnects.
+     */
+    update: function (object) {
+      return this._queue('update', [ getFirebaseValue(object) ]);
+    },
+
+    /**
+     * Removes the ref when the client disconnects.
+     */
+    remove: function () {
+      return this._queue('remove', []);
+    },
+
+    /**
+     * Cancels all writes queued for the ref and its children.
+     */
+    cancel: function () {
+      return this._queue('cancel', []);
+    },
+
+    _queue: function (methodName, args) {
+      var ref = this._ref;
+      var onDisconnect = ref.onDisconnect();
+      var deferred = RSVP.defer();
+
+      onDisconnect[methodName].apply(onDisconnect, args.concat(function (error) {
+        if (error) {
+          deferred.reject(error);
+        } else {
+          deferred.resolve(ref);
+        }
+      }));
+
+      return deferred.promise;
+    },
+
+    toString: function () {
+      return 'Firebase.OnDisconnect';
+    }
+
+  };
+
+  /**
+   * Updates the given ref using the update callback in a transaction. The
+   * callback is called with the current value and returns the new value, or
+   * undefined to abort. Returns a promise that resolves to an object with
+   * the `snapshot` and its `value` (coerced like in Firebase.get) and whether
+   * or not the transaction was `committed`. The options are:
+   *
+   *   - applyLocally: Set this to false to hide the intermediate values
+   *     from local events until the transaction is committed
+   *   - createValueFromSnapshot: The function used to coerce the value
+   *   - maxRetries: How many times the callback may be called again when
+   *     the value changes on the server before the transaction is aborted
+   *   - timeout: How many milliseconds to wait for the transaction to complete
+   *     before it is aborted
+   *
+   * Transactions that are aborted because of maxRetries or timeout reject
+   * with a Firebase.TransactionAbortedError. When the timeout expires the
+   * promise rejects right away, and the transaction is aborted the next time
+   * the callback would be called. A new value that was already sent may still
+   * be committed though, even after the promise has rejected. A function may
+   * be given instead of the options, in which case it is used as
+   * createValueFromSnapshot.
+   */
+  Firebase.transaction = function (ref, updateCallback, options) {
+    if (typeof options === 'function') {
+      options = { createValueFromSnapshot: options };
+    }
+
+    options = options || {};
+
+    var createValueFromSnapshot = options.createValueFromSnapshot || getSnapshotValue;
+    var maxRetries = options.maxRetries;
+    var deferred = RSVP.defer();
+    var callCount = 0, abortReason, timer;
+
+    function onUpdate(value) {
+      if (abortReason) return;
+
+      callCount += 1;
+
+      if (maxRetries != null && callCount > maxRetries + 1) {
+        abortReason = fmt('it was retried more than %@ times', [ maxRetries ]);
+        return;
+      }
+
+      return updateCallback(value);
+    }
+
+    function onComplete(error, committed, snapshot) {
+      clearTimeout(timer);
+
+      if (error) {
+        deferred.reject(error);
+      } else if (abortReason && !committed) {
+        deferred.reject(new TransactionAbortedError(ref.toString(), abortReason));
+      } else {
+        deferred.resolve({
+          committed: committed,
+          snapshot: snapshot,
+          value: createValueFromSnapshot(snapshot)
+        });
+      }
+    }
+
+    if (options.timeout != null) {
+      timer = setTimeout(function () {
+        abortReason = fmt('it did not complete within %@ms', [ options.timeout ]);
+        deferred.reject(new TransactionAbortedError(ref.toString(), abortReason));
+      }, options.timeout);
+    }
+
+    ref.transaction(onUpdate, onComplete, options.applyLocally !== false);
+
+    return deferred.promise;
+  };
+
+  /**
+   * Returns a new batch of writes to locations that share the same root. Use
+   * its `set`, `update` and `remove` methods to add writes to the batch, and
+   * `commit` to save them all at once in a single update of their closest
+   * common location, so that either all of them succeed or none of them do.
+   *
+   *   Firebase.batch()
+   *     .set(postRef, post)
+   *     .set(userRef.child('posts').child(postRef.name()), true)
+   *     .commit();
+   */
+  Firebase.batch = function () {
+    return new Batch();
+  };
+
+  function Batch() {
+    this._operations = [];
+  }
+
+  Batch.prototype = {
+
+    constructor: Batch,
+
+    /**
+     * Adds a write of the given value to the given ref. Returns this batch.
+     */
+    set: function (ref, object) {
+      return this._addOperation(ref, { '': getFirebaseValue(object) });
+    },
+
+    /**
+     * Adds a write of each of the children in the given object to the given
+     * ref, like Firebase#update. Returns this batch.
+     */
+    update: function (ref, object) {
+      return this._addOperation(ref, getFirebaseValue(object));
+    },
+
+    /**
+     * Adds the removal of the given ref. Returns this batch.
+     */
+    remove: function (ref) {
+      return this._addOperation(ref, { '': null });
+    },
+
+    /**
+     * Saves all writes in this batch at once. Returns a promise that resolves
+     * to an array of the refs of each write in the order they were added when
+     * the sync is complete, or rejects if the writes can't be combined.
+     */
+    commit: function () {
+      var operations = this._operations;
+      var refs = map(operations, function (operation) {
+        return operation.ref;
+      });
+
+      if (operations.length === 0) {
+        return RSVP.resolve(refs);
+      }
+
+      var root = refs[0].root();
+      var paths = [];
+
+      for (var i = 0; i < operations.length; ++i) {
+        var operation = operations[i];
+
+        if (operation.ref.root().toString() !== root.toString()) {
+          return RSVP.reject(new Error(fmt('Cannot commit %@, %@ and %@ do not share the same root', [ this.toString(), String(refs[0]), String(operation.ref) ])));
+        }
+
+        var path = getPath(operation.ref);
+
+        for (var key in operation.values) {
+          paths.push({
+            names: key ? path.concat(key.split('/')) : path,
+            value: operation.values[key]
+          });
+        }
+      }
+
+      if (paths.length === 0) {
+        return RSVP.resolve(refs);
+      }
+
+      var commonNames = getCommonNames(map(paths, function (path) {
+        return path.names;
+      }));
+
+      // A write to the common location itself must be a child of the update.
+      if (paths.some(function (path) { return path.names.length === commonNames.length; })) {
+        if (commonNames.length === 0) {
+          return RSVP.reject(new Error(fmt('Cannot commit %@, it writes to the root', [ this.toString() ])));
+        }
+
+        commonNames.pop();
+      }
+
+      var values = {};
+
+      forEach(paths, function (path) {
+        values[path.names.slice(commonNames.length).join('/')] = path.value;
+      });
+
+      // Firebase doesn't allow writes to a location and its children at once.
+      var keys = Ember.keys(values).sort();
+
+      for (i = 1; i < keys.length; ++i) {
+        if (keys[i].indexOf(keys[i - 1] + '/') === 0) {
+          return RSVP.reject(new Error(fmt('Cannot commit %@, it writes to both %@ and %@', [ this.toString(), keys[i - 1], keys[i] ])));
+        }
+      }
+
+      var ref = commonNames.length ? root.child(commonNames.join('/')) : root;
+
+      return Firebase.update(ref, values).then(function () {
+        return refs;
+      });
+    },
+
+    _addOperation: function (ref, values) {
+      this._operations.push({ ref: ref, values: values });
+      return this;
+    },
+
+    toString: function () {
+      return 'Firebase.Batch';
+    }
+
+  };
+
+  // Returns the names of the locations from the root to the given ref.
+  function getPath(ref) {
+    var names = [];
+
+    for (var parent = ref.parent(); parent; ref = parent, parent = ref.parent()) {
+      names.unshift(ref.name());
+    }
+
+    return names;
+  }
+
+  // Returns the longest list of names that all of the given paths begin with.
+  function getCommonNames(paths) {
+    var commonNames = paths[0].slice(0);
+
+    forEach(paths, function (names) {
+      var i = 0;
+
+      while (i < commonNames.length && i < names.length && commonNames[i] === names[i]) {
+        ++i;
+      }
+
+      commonNames.length = i;
+    });
+
+    return commonNames;
+  }
+
   /**
    * Create a child of the given reference. If childName is given it will be the
    * name of the child reference. If a formatArgs array is given, childName is
@@ -144,6 +456,245 @@
     return get(object, 'id') || object;
   }
 
+  /**
+   * A placeholder for the time at which a write reaches the Firebase servers,
+   * which they replace with their own timestamp so the value doesn't depend
+   * on the client's clock. It may be used as the value of any property, and
+   * transforms and validations leave it alone. This is the same object as
+   * Firebase.ServerValue.TIMESTAMP in clients that have it.
+   *
+   *   hash.set('lastLogin', Firebase.SERVER_TIMESTAMP);
+   */
+  Firebase.SERVER_TIMESTAMP = (Firebase.ServerValue && Firebase.ServerValue.TIMESTAMP) || { '.sv': 'timestamp' };
+
+  var transforms = {};
+
+  /**
+   * A registry of named transforms that convert values between the form they
+   * are stored in at a Firebase location and the form your app uses. Each
+   * transform is an object with `read` and `write` functions, so it may also
+   * be given to Firebase.Binding#transform.
+   *
+   *   Firebase.Transforms.register('set', {
+   *     read: function (object) { return Ember.keys(object || {}); },
+   *     write: function (array) { ... }
+   *   });
+   */
+  Firebase.Transforms = {
+
+    /**
+     * Registers a transform with the given name, replacing any existing
+     * transform with the same name.
+     */
+    register: function (name, transform) {
+      transforms[name] = transform;
+    },
+
+    /**
+     * Returns the transform with the given name.
+     */
+    lookup: function (name) {
+      var transform = transforms[name];
+
+      if (!transform) {
+        throw new Error(fmt('Cannot find transform "%@"', [ name ]));
+      }
+
+      return transform;
+    }
+
+  };
+
+  // Dates are stored as the number of milliseconds since the epoch.
+  Firebase.Transforms.register('date', {
+    read: function (value) {
+      return value == null ? null : new Date(value);
+    },
+    write: function (date) {
+      return date == null ? null : new Date(date).getTime();
+    }
+  });
+
+  Firebase.Transforms.register('number', {
+    read: function (value) {
+      return value == null ? null : Number(value);
+    },
+    write: function (number) {
+      return number == null ? null : Number(number);
+    }
+  });
+
+  Firebase.Transforms.register('boolean', {
+    read: function (value) {
+      return value == null ? null : Boolean(value);
+    },
+    write: function (bool) {
+      return bool == null ? null : Boolean(bool);
+    }
+  });
+
+  // Firebase returns objects with numeric keys as arrays, so
+  // convert them back to objects when reading.
+  Firebase.Transforms.register('object', {
+    read: function (value) {
+      if (!Ember.isArray(value)) {
+        return value == null ? null : value;
+      }
+
+      var object = {};
+
+      forEach(value, function (item, index) {
+        if (item !== undefined) {
+          object[index] = item;
+        }
+      });
+
+      return object;
+    },
+    write: function (object) {
+      return object == null ? null : object;
+    }
+  });
+
+  /**
+   * The error that proxies and bindings report when a Firebase operation
+   * fails, e.g. because it is not allowed by your security rules. The
+   * `operation` is the name of the Firebase method that failed (or "listen"
+   * when a listener is cancelled), `path` is the URL of the ref it was called
+   * on, and `cause` is the original error from Firebase.
+   */
+  Firebase.OperationError = OperationError;
+
+  function OperationError(operation, path, cause, isForbidden) {
+    var message = fmt('%@ at %@ failed: %@', [ operation, path, (cause && cause.message) || cause ]);
+    var error = Error.call(this, message);
+
+    this.message = message;
+    this.stack = error.stack;
+    this.operation = operation;
+    this.path = path;
+    this.cause = cause;
+    this.isForbidden = Boolean(isForbidden);
+  }
+
+  OperationError.prototype = Ember.create(Error.prototype);
+  OperationError.prototype.constructor = OperationError;
+  OperationError.prototype.name = 'Firebase.OperationError';
+
+  /**
+   * The error that Firebase.transaction rejects with when a transaction is
+   * aborted because it was retried too many times or took too long. The
+   * `path` is the URL of the ref and `reason` describes why it was aborted.
+   */
+  Firebase.TransactionAbortedError = TransactionAbortedError;
+
+  function TransactionAbortedError(path, reason) {
+    var message = fmt('Transaction at %@ was aborted because %@', [ path, reason ]);
+    var error = Error.call(this, message);
+
+    this.message = message;
+    this.stack = error.stack;
+    this.path = path;
+    this.reason = reason;
+  }
+
+  TransactionAbortedError.prototype = Ember.create(Error.prototype);
+  TransactionAbortedError.prototype.constructor = TransactionAbortedError;
+  TransactionAbortedError.prototype.name = 'Firebase.TransactionAbortedError';
+
+  /**
+   * The error that a Firebase.Hash rejects with when it is saved with values
+   * that are not valid. The `errors` object contains an array of messages
+   * for each invalid property, keyed by property name.
+   */
+  Firebase.ValidationError = ValidationError;
+
+  function ValidationError(errors) {
+    var messages = [];
+
+    for (var property in errors) {
+      forEach(errors[property], function (message) {
+        messages.push(property + ' ' + message);
+      });
+    }
+
+    var message = fmt('Validation failed: %@', [ messages.join(', ') ]);
+    var error = Error.call(this, message);
+
+    this.message = message;
+    this.stack = error.stack;
+    this.errors = errors;
+  }
+
+  ValidationError.prototype = Ember.create(Error.prototype);
+  ValidationError.prototype.constructor = ValidationError;
+  ValidationError.prototype.name = 'Firebase.ValidationError';
+
+  /**
+   * An Ember.Mixin for objects that report failed Firebase operations, i.e.
+   * proxies and bindings.
+   */
+  var ErrorReporting = Ember.Mixin.create(Ember.Evented, {
+
+    /**
+     * The Firebase.OperationError for the most recent failed operation.
+     */
+    error: null,
+
+    /**
+     * True if Firebase cancelled a listener because it is not allowed
+     * to read the data.
+     */
+    isForbidden: false,
+
+    /**
+     * Sets the error and triggers the "didError" event with it.
+     */
+    reportError: function (error) {
+      if (this.isDestroyed) return;
+
+      set(this, 'error', error);
+
+      if (error.isForbidden) {
+        set(this, 'isForbidden', true);
+      }
+
+      this.trigger('didError', error);
+    },
+
+    /**
+     * Returns a promise rejection handler that reports the error for the
+     * given operation on the given ref and passes it along.
+     */
+    _rejectionHandler: function (operation, ref) {
+      var object = this;
+
+      return function (error) {
+        object.reportError(new OperationError(operation, ref.toString(), error));
+        throw error;
+      };
+    },
+
+    /**
+     * Returns a Firebase completion callback that reports an error
+     * if the given operation on the given ref fails.
+     */
+    _completionCallback: function (operation, ref) {
+      var object = this;
+
+      return function (error) {
+        if (error) {
+          object.reportError(new OperationError(operation, ref.toString(), error));
+        }
+      };
+    },
+
+    _listenerWasCancelled: function (ref, error) {
+      this.reportError(new OperationError('listen', ref.toString(), error, true));
+    }
+
+  });
+
   /**
    * An Ember.Binding subclass that is able to bind an object property to
    * the value at a Firebase location reference. A Firebase.Binding should
@@ -165,6 +716,8 @@
 
   Binding.prototype = Ember.create(Ember.Binding.prototype);
 
+  ErrorReporting.apply(Binding.prototype);
+
   Ember.merge(Binding.prototype, {
 
     constructor: Binding,
@@ -187,18 +740,36 @@
         copy._oneWay = true;
       }
 
+      copy._transform = this._transform;
+
       return copy;
     },
 
     /**
-     * Connects this binding to the given object. See Ember.Binding#connect.
+     * Converts values as they are sync'd using the given `read` and `write`
+     * functions. `read` is called with the value from the snapshot, and
+     * `write` with the value of the object's property. Either may be omitted.
+     * Returns this binding.
+     *
+     *   var createdAtBinding = Firebase.Binding.from(ref).transform({
+     *     read: function (timestamp) { return new Date(timestamp); },
+     *     write: function (date) { return date.getTime(); }
+     *   });
      */
-    connect: function (object) {
+    transform: function (transform) {
+      this._transform = transform;
+      return this;
+    },
+
+    /**
+     * Connects this binding to the given object. See Ember.Binding#connect.
+     */
+    connect: function (object) {
       this._objects.addObject(object);
 
       // Observe the ref for changes if we're not already.
       if (!this._observingFrom) {
-        this._from.on('value', this.fromRefDidChange, this);
+        this._from.on('value', this.fromRefDidChange, this.fromRefWasCancelled, this);
         this._observingFrom = true;
       }
 
@@ -241,6 +812,12 @@
       }, this);
     },
 
+    fromRefWasCancelled: function (error) {
+      // Firebase has already removed the listener.
+      this._observingFrom = false;
+      this._listenerWasCancelled(this._from, error);
+    },
+
     _scheduleSync: function (object, direction, snapshot) {
       var directionMap = this._directionMap;
       var existingDirection = directionMap.get(object);
@@ -271,7 +848,7 @@
 
       // If we're syncing from Firebase...
       if (direction === 'fwd') {
-        var value = this.createValueFromSnapshot(snapshot);
+        var value = this._transformValue('read', this.createValueFromSnapshot(snapshot));
 
         if (log) {
           Ember.Logger.log(' ', this.toString(), '->', value, object);
@@ -287,7 +864,7 @@
 
       // If we're syncing to Firebase...
       } else if (direction === 'back') {
-        var value = getFirebaseValue(get(object, to));
+        var value = getFirebaseValue(this._transformValue('write', get(object, to)));
 
         if (log) {
           Ember.Logger.log(' ', this.toString(), '<-', value, object);
@@ -295,11 +872,21 @@
 
         // This works because Firebase triggers local updates synchronously.
         this._ignoringFrom = true;
-        fromRef.set(value);
+        fromRef.set(value, this._completionCallback('set', fromRef));
         this._ignoringFrom = false;
       }
     },
 
+    _transformValue: function (direction, value) {
+      var transform = this._transform;
+
+      if (!transform || !transform[direction] || (direction === 'write' && isServerValue(value))) {
+        return value;
+      }
+
+      return transform[direction](value);
+    },
+
     toString: function() {
       var dirString = this._oneWay ? '->' : '<->';
       return fmt('<%@ %@ %@ %@>', [ this.constructor, this._from, dirString, this._to ]);
@@ -357,11 +944,42 @@
     return new Firebase.Binding(to, fromRef).oneWay().connect(object);
   };
 
+  var identityMap = {};
+
+  /**
+   * Returns the instance of this class for the given location reference,
+   * creating it if needed. Every caller gets the same instance, so it only
+   * listens to the location once. Call `release` on it when you're done
+   * with it instead of `destroy`. Used as Firebase.Hash.find and
+   * Firebase.List.find, which are inherited by subclasses.
+   *
+   *   var user = User.find(ref.child('users/mj'));
+   *   user === User.find(ref.child('users/mj')); // => true
+   */
+  function findProxy(ref) {
+    if (isFirebaseQuery(ref)) {
+      throw new Error(fmt('Cannot find a shared %@ for a query, use create instead', [ this ]));
+    }
+
+    var key = Ember.guidFor(this) + ' ' + ref.toString();
+    var proxy = identityMap[key];
+
+    if (!proxy) {
+      proxy = identityMap[key] = this.create({ ref: ref });
+      proxy._identityKey = key;
+      proxy._retainCount = 0;
+    }
+
+    proxy._retainCount += 1;
+
+    return proxy;
+  }
+
   /**
    * An Ember.Mixin for objects that are a proxy for a Firebase location
    * reference (or query).
    */
-  Firebase.Proxy = Ember.Mixin.create({
+  Firebase.Proxy = Ember.Mixin.create(ErrorReporting, {
 
     /**
      * The Firebase location reference for this proxy. May also be a
@@ -390,8 +1008,32 @@
       return baseRef && baseRef.toString();
     }),
 
+    /**
+     * The Firebase location reference or query this proxy listens to for
+     * changes. By default this is the same as `ref`, but subclasses may
+     * override it to filter the data further.
+     */
+    query: Ember.computed('ref', function () {
+      return get(this, 'ref');
+    }).readOnly(),
+
+    /**
+     * True once the initial data for this proxy's query has been received.
+     * This is reset whenever the query changes.
+     */
+    isLoaded: false,
+
+    /**
+     * Set this to true to have the Firebase servers stamp the data with the
+     * time it was written (see Firebase.SERVER_TIMESTAMP). A Firebase.Hash
+     * sets its `updatedAt` property along with every other property, and a
+     * Firebase.List sets the `createdAt` property of new objects.
+     */
+    timestamps: false,
+
     init: function () {
       this._super();
+      this._childValues = {};
 
       // Since _setupRef may modify this proxy's content
       // we need to call it during the init event.
@@ -401,35 +1043,147 @@
 
     willDestroy: function () {
       this._teardownRef();
+
+      if (this._identityKey) {
+        delete identityMap[this._identityKey];
+      }
     },
 
-    _setupRef: Ember.observer('ref', function () {
-      var ref = get(this, 'ref');
+    /**
+     * Releases this proxy. Proxies that are shared using `find` are destroyed
+     * once every caller of `find` has released them, other proxies right away.
+     */
+    release: function () {
+      if (this._identityKey && --this._retainCount > 0) return;
+      this.destroy();
+    },
+
+    /**
+     * Returns a promise that resolves to this proxy once the initial data
+     * for its query has been received. Useful e.g. in a route's model hook.
+     */
+    ready: function () {
+      return this._loadDeferred.promise;
+    },
+
+    // Subclasses override _setupRef and _teardownRef, which would remove
+    // any observers declared on them, so observe the query separately.
+    _queryWillChange: Ember.beforeObserver('query', function () {
+      this._teardownRef();
+    }),
+
+    _queryDidChange: Ember.observer('query', function () {
+      this._setupRef();
+    }),
+
+    _setupRef: function () {
+      var ref = get(this, 'query');
+      var loadDeferred = RSVP.defer();
+
+      // Anyone still waiting on the previous query gets the data for this one.
+      if (this._loadDeferred) {
+        this._loadDeferred.resolve(loadDeferred.promise);
+      }
+
+      this._loadDeferred = loadDeferred;
+      set(this, 'isLoaded', false);
+      set(this, 'isForbidden', false);
 
       if (ref) {
-        ref.on('child_added', this.childWasAdded, this);
-        ref.on('child_changed', this.childWasChanged, this);
-        ref.on('child_removed', this.childWasRemoved, this);
-        ref.on('child_moved', this.childWasMoved, this);
+        this._addListeners(ref);
       }
-    }),
+    },
 
-    _teardownRef: Ember.beforeObserver('ref', function () {
-      var ref = get(this, 'ref');
+    _teardownRef: function () {
+      var ref = get(this, 'query');
 
       if (ref) {
-        ref.off('child_added', this.childWasAdded);
-        ref.off('child_changed', this.childWasChanged);
-        ref.off('child_removed', this.childWasRemoved);
-        ref.off('child_moved', this.childWasMoved);
+        this._removeListeners(ref);
       }
-    }),
+
+      for (var childName in this._childValues) {
+        this._releaseChildValue(childName);
+      }
+    },
+
+    _addListeners: function (ref) {
+      var cancelCallback = this._refWasCancelled;
+
+      ref.on('child_added', this.childWasAdded, cancelCallback, this);
+      ref.on('child_changed', this.childWasChanged, cancelCallback, this);
+      ref.on('child_removed', this.childWasRemoved, cancelCallback, this);
+      ref.on('child_moved', this.childWasMoved, cancelCallback, this);
+
+      // Firebase fires value events after all child events
+      // for the same data, so all children are loaded by then.
+      ref.on('value', this._refDidLoad, cancelCallback, this);
+    },
+
+    // Pass this proxy as the context so that other proxies
+    // for the same location keep their listeners.
+    _removeListeners: function (ref) {
+      ref.off('child_added', this.childWasAdded, this);
+      ref.off('child_changed', this.childWasChanged, this);
+      ref.off('child_removed', this.childWasRemoved, this);
+      ref.off('child_moved', this.childWasMoved, this);
+      ref.off('value', this._refDidLoad, this);
+    },
+
+    _refDidLoad: function () {
+      get(this, 'query').off('value', this._refDidLoad, this);
+      set(this, 'isLoaded', true);
+      this._loadDeferred.resolve(this);
+    },
+
+    _refWasCancelled: function (error) {
+      // Firebase cancels every listener at the same location at once.
+      if (get(this, 'isForbidden')) return;
+
+      this._listenerWasCancelled(get(this, 'query'), error);
+      this._loadDeferred.reject(get(this, 'error'));
+    },
 
     childWasAdded: Ember.K,
     childWasChanged: Ember.K,
     childWasRemoved: Ember.K,
     childWasMoved: Ember.K,
 
+    // Creates the value for the given snapshot using createValueFromSnapshot.
+    // Proxies that it creates belong to this proxy, and are released when
+    // they are replaced, when the child is removed, when the ref changes,
+    // or when this proxy is released.
+    _createChildValue: function (snapshot) {
+      var childName = snapshot.name();
+      var value = this.createValueFromSnapshot(snapshot);
+
+      if (value !== this._childValues[childName]) {
+        this._releaseChildValue(childName);
+
+        if (Firebase.Proxy.detect(value)) {
+          this._childValues[childName] = value;
+        }
+      } else if (value && value._identityKey) {
+        // We already hold the shared proxy that was found again.
+        value.release();
+      }
+
+      return value;
+    },
+
+    _releaseChildValue: function (childName) {
+      var value = this._childValues[childName];
+
+      if (value) {
+        delete this._childValues[childName];
+
+        if (isFunction(value.release)) {
+          value.release();
+        } else {
+          value.destroy();
+        }
+      }
+    },
+
     /**
      * Creates a child reference using `Firebase.child` and this proxy's
      * `baseRef` along with any additional arguments.
@@ -492,6 +1246,11 @@
      *     }
      *
      *   });
+     *
+     * Any Firebase.Proxy that is returned from this method belongs to this proxy,
+     * which releases it when it is replaced by a new value, when the child is
+     * removed, when the ref changes, or when this proxy is destroyed. Return
+     * a proxy from `find` to share it with others.
      */
     createValueFromSnapshot: getSnapshotValue,
 
@@ -512,8 +1271,81 @@
    */
   Firebase.Hash = Ember.ObjectProxy.extend(Firebase.Proxy, {
 
+    /**
+     * Set this to true to stage properties that are set on this hash locally
+     * instead of writing them to the ref immediately. Staged values may then
+     * be written all at once using `save` or discarded using `rollback`.
+     */
+    buffered: false,
+
+    /**
+     * An array of the names of properties that have been set on this hash
+     * but have not yet been saved. Only used in buffered mode.
+     */
+    dirtyProperties: Ember.computed(function () {
+      return Ember.A(Ember.keys(this._bufferedValues || {}));
+    }),
+
+    /**
+     * True if this hash has any unsaved properties.
+     */
+    isDirty: Ember.computed.bool('dirtyProperties.length'),
+
+    mergedProperties: [ 'types', 'validations' ],
+
+    /**
+     * The names of the transforms in Firebase.Transforms to use for
+     * properties of this hash, keyed by property name. Values are read
+     * and written using the transform for their property. Subclasses
+     * may add more types.
+     *
+     *   var Post = Firebase.Hash.extend({
+     *     types: { createdAt: 'date', likes: 'number' }
+     *   });
+     */
+    types: {},
+
+    /**
+     * Rules for the values of properties of this hash, keyed by property name.
+     * Values are checked before they are written, and invalid values are not
+     * written unless this hash is buffered, in which case `save` rejects with
+     * a Firebase.ValidationError instead. The rules for each property are:
+     *
+     *   - required: true if the value may not be null, undefined or empty
+     *   - type: the type of the value, as given by Ember.typeOf
+     *   - min, max: the range of a number, or of the length of anything else
+     *   - pattern: a regular expression the value must match
+     *   - validate: a function that is called with the value and this hash
+     *     and returns an error message if the value is not valid
+     *
+     *   var User = Firebase.Hash.extend({
+     *     validations: {
+     *       name: { required: true, type: 'string', max: 40 },
+     *       email: { pattern: /@/ }
+     *     }
+     *   });
+     */
+    validations: {},
+
+    /**
+     * An object that contains an array of error messages for each property
+     * that failed validation, keyed by property name.
+     */
+    errors: null,
+
+    /**
+     * True if no properties of this hash failed validation.
+     */
+    isValid: Ember.computed('errors', function () {
+      return Ember.keys(get(this, 'errors') || {}).length === 0;
+    }),
+
     _setupRef: function () {
       set(this, 'content', {});
+
+      // Unsaved values belong to the previous location.
+      this.rollback();
+
       this._super();
     },
 
@@ -533,7 +1365,9 @@
       // If the proxy already has a property with the same name as the
       // snapshot it will override its content's value, so ignore it.
       if (!(propertyName in this)) {
-        set(get(this, 'content'), propertyName, this.createValueFromSnapshot(snapshot));
+        set(get(this, 'content'), propertyName, this._readValue(propertyName, this._createChildValue(snapshot)));
+      } else if (isRelationship(this, propertyName)) {
+        this._relationshipDidChange(propertyName, snapshot.val());
       }
     },
 
@@ -543,27 +1377,86 @@
       // If the proxy already has a property with the same name as the
       // snapshot it will override its content's value, so ignore it.
       if (!(propertyName in this)) {
-        set(get(this, 'content'), propertyName, this.createValueFromSnapshot(snapshot));
+        set(get(this, 'content'), propertyName, this._readValue(propertyName, this._createChildValue(snapshot)));
+      } else if (isRelationship(this, propertyName)) {
+        this._relationshipDidChange(propertyName, snapshot.val());
       }
     },
 
     childWasRemoved: function (snapshot) {
-      set(get(this, 'content'), snapshot.name(), undefined);
+      var propertyName = snapshot.name();
+
+      set(get(this, 'content'), propertyName, undefined);
+      this._releaseChildValue(propertyName);
+
+      if (isRelationship(this, propertyName)) {
+        this.notifyPropertyChange(propertyName);
+      }
+    },
+
+    // Relationships keep the ids they are stored as in this hash's
+    // content, and create the related proxies when they are read.
+    _relationshipDidChange: function (property, value) {
+      set(get(this, 'content'), property, value);
+      this.notifyPropertyChange(property);
+
+      // Replace the related proxy right away if it has been read.
+      if (this._childValues[property]) {
+        get(this, property);
+      }
+    },
+
+    /**
+     * Ember uses this method to get properties on objects when the property
+     * is not already present. Unsaved values take precedence over the values
+     * in this hash's content.
+     */
+    unknownProperty: function (property) {
+      var bufferedValues = this._bufferedValues;
+
+      if (bufferedValues && bufferedValues.hasOwnProperty(property)) {
+        return bufferedValues[property];
+      }
+
+      return this._super(property);
     },
 
     /**
      * Ember uses this method to set properties on objects when the property
      * is not already present. We use it to set values on the underlying ref
      * instead, which propagates those changes to all listeners synchronously.
+     * In buffered mode the value is staged until the next save.
      */
     setUnknownProperty: function (property, object) {
+      var isValid = this._validateProperty(property, object);
+
+      if (get(this, 'buffered')) {
+        this._bufferValue(property, object);
+        return object;
+      }
+
       var ref = get(this, 'baseRef');
 
       if (!ref) {
         throw new Error(fmt('Cannot set property "%@" on %@, ref is missing', [ property, this ]));
       }
 
-      ref.child(property).set(getFirebaseValue(object));
+      if (!isValid) {
+        return object;
+      }
+
+      var value = this._writeValue(property, object);
+
+      if (get(this, 'timestamps') && property !== 'updatedAt') {
+        var values = { updatedAt: Firebase.SERVER_TIMESTAMP };
+        values[property] = value;
+
+        // Write both at once so nobody sees the change without its timestamp.
+        ref.update(values, this._completionCallback('update', ref));
+      } else {
+        var childRef = ref.child(property);
+        childRef.set(value, this._completionCallback('set', childRef));
+      }
 
       return object;
     },
@@ -578,11 +1471,210 @@
         throw new Error(fmt('Cannot set property "%@" on %@, ref is missing', [ property, this ]));
       }
 
-      ref.child(property).setWithPriority(getFirebaseValue(object), priority);
+      if (!this._validateProperty(property, object)) {
+        return object;
+      }
+
+      var childRef = ref.child(property);
+      childRef.setWithPriority(this._writeValue(property, object), priority, this._completionCallback('setWithPriority', childRef));
 
       return object;
     },
 
+    /**
+     * Updates the given property in a Firebase transaction, so that updates
+     * from other clients at the same time aren't lost. The update function is
+     * called with the current value and returns the new value, or undefined
+     * to abort. It may be called more than once if the value changes before
+     * the transaction is done. The new value is shown right away, even in
+     * buffered mode.
+     *
+     * Returns a promise that resolves like the one from Firebase.transaction,
+     * with the final `value`, its `snapshot` and whether or not the transaction
+     * was `committed` when the sync is complete.
+     */
+    transactProperty: function (property, updateFunction) {
+      var childRef = this.childRef(property);
+      var hash = this;
+
+      return Firebase.transaction(childRef, function (value) {
+        var newValue = updateFunction(hash._readValue(property, value));
+
+        // Invalid values abort the transaction.
+        if (newValue === undefined || !hash._validateProperty(property, newValue)) return;
+
+        return hash._writeValue(property, newValue);
+      }, function (snapshot) {
+        return hash._readValue(property, snapshot.val());
+      }).then(null, this._rejectionHandler('transaction', childRef));
+    },
+
+    /**
+     * Increments the given property by the given amount (1 by default) using
+     * `transactProperty`, and returns its promise.
+     */
+    incrementProperty: function (property, increment) {
+      if (increment == null) increment = 1;
+
+      return this.transactProperty(property, function (value) {
+        return (value || 0) + increment;
+      });
+    },
+
+    /**
+     * Decrements the given property by the given amount (1 by default) using
+     * `transactProperty`, and returns its promise.
+     */
+    decrementProperty: function (property, decrement) {
+      if (decrement == null) decrement = 1;
+
+      return this.transactProperty(property, function (value) {
+        return (value || 0) - decrement;
+      });
+    },
+
+    /**
+     * Sets the given property to the given value when the client disconnects
+     * from Firebase, e.g. to mark a user as away. Returns a promise that
+     * resolves to the property's ref once the server has queued the write.
+     * See Firebase.onDisconnect.
+     */
+    onDisconnectSet: function (property, value) {
+      var childRef = this.childRef(property);
+
+      var onDisconnect = Firebase.onDisconnect(childRef);
+
+      return onDisconnect.set(this._writeValue(property, value)).then(null, this._rejectionHandler('onDisconnect', childRef));
+    },
+
+    /**
+     * Checks the values of all properties that have validations, updating
+     * `errors`. Returns true if they are all valid.
+     */
+    validate: function () {
+      var validations = get(this, 'validations');
+
+      Ember.changeProperties(function () {
+        for (var property in validations) {
+          this._validateProperty(property, get(this, property));
+        }
+      }, this);
+
+      return get(this, 'isValid');
+    },
+
+    // Checks the given value for the given property and updates errors.
+    _validateProperty: function (property, value) {
+      var rules = get(this, 'validations')[property];
+
+      if (!rules) {
+        return true;
+      }
+
+      var messages = validateValue(value, rules, this);
+      var errors = Ember.merge({}, get(this, 'errors') || {});
+
+      if (messages.length) {
+        errors[property] = messages;
+      } else {
+        delete errors[property];
+      }
+
+      // Replace the errors object so that bindings to its properties update.
+      set(this, 'errors', errors);
+
+      return messages.length === 0;
+    },
+
+    /**
+     * Writes all unsaved properties to this hash's location reference in a
+     * single update. Returns a promise that resolves to the ref when the sync
+     * is complete, or rejects with a Firebase.ValidationError if any property
+     * is not valid. The properties stay unsaved until the update succeeds,
+     * so they are not lost if it fails.
+     */
+    save: function () {
+      var ref = get(this, 'baseRef');
+
+      if (!ref) {
+        throw new Error(fmt('Cannot save %@, ref is missing', [ this ]));
+      }
+
+      if (!this.validate()) {
+        return RSVP.reject(new ValidationError(get(this, 'errors')));
+      }
+
+      var bufferedValues = this._bufferedValues;
+      var values = {};
+
+      for (var property in bufferedValues) {
+        values[property] = this._writeValue(property, bufferedValues[property]);
+      }
+
+      if (get(this, 'timestamps') && !values.hasOwnProperty('updatedAt')) {
+        values.updatedAt = Firebase.SERVER_TIMESTAMP;
+      }
+
+      var hash = this;
+      var savedValues = Ember.merge({}, bufferedValues);
+
+      // Since the update propagates to our content synchronously, the saved
+      // values can be discarded without changing any properties.
+      return Firebase.update(ref, values).then(function (ref) {
+        if (!hash.isDestroyed) {
+          hash._discardBufferedValues(savedValues);
+        }
+
+        return ref;
+      }).then(null, this._rejectionHandler('update', ref));
+    },
+
+    /**
+     * Discards all unsaved properties, exposing the values from the ref,
+     * and clears any validation errors.
+     */
+    rollback: function () {
+      this._discardBufferedValues();
+      set(this, 'errors', null);
+    },
+
+    _bufferValue: function (property, object) {
+      Ember.changeProperties(function () {
+        this.propertyWillChange(property);
+        this._bufferedValues = this._bufferedValues || {};
+        this._bufferedValues[property] = object;
+        this.propertyDidChange(property);
+        this.notifyPropertyChange('dirtyProperties');
+      }, this);
+    },
+
+    // Discards all unsaved values, or only the given ones. Values
+    // that were set again since then are kept.
+    _discardBufferedValues: function (values) {
+      var bufferedValues = this._bufferedValues;
+
+      var properties = get(this, 'dirtyProperties').filter(function (property) {
+        return !values || (values.hasOwnProperty(property) && values[property] === bufferedValues[property]);
+      });
+
+      if (properties.length === 0) return;
+
+      Ember.changeProperties(function () {
+        forEach(properties, this.propertyWillChange, this);
+
+        forEach(properties, function (property) {
+          delete bufferedValues[property];
+        });
+
+        if (Ember.keys(bufferedValues).length === 0) {
+          this._bufferedValues = null;
+        }
+
+        forEach(properties, this.propertyDidChange, this);
+        this.notifyPropertyChange('dirtyProperties');
+      }, this);
+    },
+
     /**
      * Returns a new Firebase.List created from this hash's location reference.
      */
@@ -591,14 +1683,717 @@
     },
 
     /**
-     * Returns a plain JavaScript object representation of this hash.
+     * Returns a plain JavaScript object representation of this hash.
+     */
+    toJSON: function () {
+      var json = {};
+
+      var content = get(this, 'content');
+      for (var property in content) {
+        json[property] = this._writeValue(property, get(content, property));
+      }
+
+      return json;
+    },
+
+    // Converts a value from Firebase using the transform for its property.
+    _readValue: function (property, value) {
+      var type = get(this, 'types')[property];
+      return type ? Firebase.Transforms.lookup(type).read(value) : value;
+    },
+
+    // Converts a value to be saved to Firebase using the transform for its property.
+    _writeValue: function (property, value) {
+      var type = get(this, 'types')[property];
+      return getFirebaseValue(type && !isServerValue(value) ? Firebase.Transforms.lookup(type).write(value) : value);
+    }
+
+  });
+
+  Firebase.Hash.reopenClass({
+
+    find: findProxy,
+
+    toString: function () {
+      return 'Firebase.Hash';
+    }
+
+  });
+
+  /**
+   * An Ember.ArrayProxy for a Firebase data structure that respects ordering of children.
+   *
+   * IMPORTANT: There is currently no way to atomically alter the ordering of children
+   * in a Firebase data structure. Thus, when you add objects to a Firebase.List using
+   * Ember.MutableArray's methods (e.g. insertAt, unshiftObject, etc.) you will not
+   * see that ordering in the list. Instead, all objects added to a list are simply
+   * appended to the end. The exception is an `ordered` list, which uses priorities
+   * to put new objects at the right index.
+   *
+   * If you need to enforce your own ordering you must use Firebase's priority feature.
+   * You can either use the setWithPriority method directly on a child of this list's
+   * location reference, or use pushWithPriority.
+   *
+   * For more information on how Firebase stores ordered data and priorities, see
+   * https://www.firebase.com/docs/managing-lists.html and
+   * https://www.firebase.com/docs/ordered-data.html
+   */
+  Firebase.List = Ember.ArrayProxy.extend(Firebase.Proxy, {
+
+    names: null,
+
+    /**
+     * The child name of the most recent object that was pushed onto this list.
+     */
+    lastPushedName: null,
+
+    /**
+     * Set this to true to make objects that are added to this list using
+     * Ember.MutableArray's methods appear at the index they were added at
+     * for every client. Each new object is given a priority between the
+     * priorities of its neighbors, so all children of an ordered list
+     * should have numeric priorities.
+     */
+    ordered: false,
+
+    /**
+     * When there is less than this much room between the priorities of the
+     * neighbors of an object that is added to an ordered list, all children
+     * are given new evenly spaced priorities first. Set this to 0 to disable
+     * rebalancing.
+     */
+    rebalanceThreshold: 1e-9,
+
+    /**
+     * The maximum number of children to include in this list. When the list
+     * has a starting point (see `startAt`) and no ending point these are the
+     * first children, otherwise they are the last.
+     *
+     * This and the other query properties below are applied to `ref`, and the
+     * list listens to the resulting query instead. Whenever one of them changes
+     * the list reloads its data, so they may be bound to other properties.
+     *
+     * See https://www.firebase.com/docs/javascript/query/index.html
+     */
+    limit: null,
+
+    /**
+     * The priority of the first child to include in this list.
+     */
+    startAt: undefined,
+
+    /**
+     * The name of the first child to include in this list among those with
+     * the `startAt` priority.
+     */
+    startAtName: undefined,
+
+    /**
+     * The priority of the last child to include in this list.
+     */
+    endAt: undefined,
+
+    /**
+     * The name of the last child to include in this list among those with
+     * the `endAt` priority.
+     */
+    endAtName: undefined,
+
+    /**
+     * The number of children to load at a time when using `loadMore` and
+     * `loadPrevious`. When this is set the list initially contains only the
+     * last `pageSize` children, unless a `limit` is given.
+     */
+    pageSize: null,
+
+    /**
+     * True if the most recently loaded page was full, which means there are
+     * probably more children to load.
+     */
+    hasMore: false,
+
+    query: Ember.computed('ref', 'limit', 'pageSize', 'startAt', 'startAtName', 'endAt', 'endAtName', function () {
+      var query = get(this, 'ref');
+
+      if (!query) {
+        return query;
+      }
+
+      var startAt = get(this, 'startAt');
+      var startAtName = get(this, 'startAtName');
+
+      if (startAt !== undefined || startAtName !== undefined) {
+        query = query.startAt(startAt === undefined ? null : startAt, startAtName);
+      }
+
+      var endAt = get(this, 'endAt');
+      var endAtName = get(this, 'endAtName');
+
+      if (endAt !== undefined || endAtName !== undefined) {
+        query = query.endAt(endAt === undefined ? null : endAt, endAtName);
+      }
+
+      var limit = this._getLimit();
+
+      if (limit != null) {
+        query = query.limit(limit);
+      }
+
+      return query;
+    }).readOnly(),
+
+    _getLimit: function () {
+      var limit = get(this, 'limit');
+      return limit == null ? get(this, 'pageSize') : limit;
+    },
+
+    /**
+     * Loads the next `pageSize` children after the last one in this list.
+     * Returns a promise that resolves to this list once they are loaded.
+     *
+     * The children that are already in the list stay in place, so this
+     * may be used to implement infinite scrolling.
+     */
+    loadMore: function () {
+      var properties = {};
+
+      // Keep the first child in place so the window grows at the end.
+      if (get(this, 'startAt') === undefined && get(this, 'startAtName') === undefined) {
+        properties.startAt = this.childPriorityAt(0);
+        properties.startAtName = this.childNameAt(0);
+        properties.endAt = properties.endAtName = undefined;
+      }
+
+      return this._loadPage(properties);
+    },
+
+    /**
+     * Loads the previous `pageSize` children before the first one in this
+     * list. Returns a promise that resolves to this list once they are loaded.
+     */
+    loadPrevious: function () {
+      var properties = {};
+
+      // Keep the last child in place so the window grows at the start.
+      if (get(this, 'startAt') !== undefined || get(this, 'startAtName') !== undefined) {
+        var lastIndex = get(this, 'length') - 1;
+
+        properties.startAt = properties.startAtName = undefined;
+        properties.endAt = this.childPriorityAt(lastIndex);
+        properties.endAtName = this.childNameAt(lastIndex);
+      }
+
+      return this._loadPage(properties);
+    },
+
+    _loadPage: function (properties) {
+      var pageSize = get(this, 'pageSize');
+
+      if (!pageSize) {
+        throw new Error(fmt('Cannot load another page of %@, pageSize is missing', [ this ]));
+      }
+
+      properties.limit = get(this, 'length') + pageSize;
+
+      // Keep the current children until the new query has loaded.
+      this._isPaging = true;
+
+      try {
+        this.setProperties(properties);
+      } finally {
+        this._isPaging = false;
+      }
+
+      return this.ready();
+    },
+
+    /**
+     * A Firebase.Proxy class (usually a Firebase.Hash subclass) to use for the
+     * items in this list. When given, the list creates one instance of it for
+     * each child, using the child's location reference as its `ref`. The same
+     * instance is kept for as long as the child is in the list, and released
+     * when the child is removed. Instances of Firebase.Proxy classes are shared
+     * using `find`.
+     *
+     *   var Message = Firebase.Hash.extend();
+     *
+     *   var messages = Firebase.List.create({
+     *     ref: ref.child('messages'),
+     *     itemType: Message
+     *   });
+     */
+    itemType: null,
+
+    /**
+     * The location reference whose children the instances of `itemType` are
+     * created for, if not the children of `ref`. Useful for lists of ids that
+     * index data at another location.
+     */
+    itemsRef: null,
+
+    init: function () {
+      this._views = [];
+      this._super();
+    },
+
+    _setupRef: function () {
+      if (!this._isPaging) {
+        this._priorities = {};
+        set(this, 'names', Ember.A());
+        set(this, 'content', Ember.A());
+
+        forEach(this._views, function (view) {
+          view._reset();
+        });
+      }
+
+      this._super();
+    },
+
+    _teardownRef: function () {
+      if (this._isPaging) {
+        this._removeListeners(get(this, 'query'));
+      } else {
+        this._super();
+      }
+    },
+
+    _refDidLoad: function (snapshot) {
+      // Remove children that are not part of the new query after paging.
+      forEach(get(this, 'names').slice(), function (childName) {
+        if (!snapshot.hasChild(childName)) {
+          this.childWasRemoved(snapshot.child(childName));
+        }
+      }, this);
+
+      if (get(this, 'pageSize')) {
+        set(this, 'hasMore', get(this, 'length') >= this._getLimit());
+      }
+
+      this._super(snapshot);
+    },
+
+    /**
+     * Returns true if this list has a child with the given name.
+     *
+     * Note: This method only checks local values. Thus it may not be
+     * accurate when using a query to filter the data.
+     */
+    hasChild: function (childName) {
+      return get(this, 'names').contains(childName);
+    },
+
+    /**
+     * Returns the child name of the item at the given index.
+     */
+    childNameAt: function (index) {
+      return get(this, 'names').objectAt(index);
+    },
+
+    /**
+     * Returns the priority of the item at the given index.
+     */
+    childPriorityAt: function (index) {
+      var childName = this.childNameAt(index);
+      return childName === undefined ? undefined : this._priorities[childName];
+    },
+
+    _indexAfter: function (childName) {
+      return childName ? get(this, 'names').indexOf(childName) + 1 : 0;
+    },
+
+    // Returns the value to use for the given snapshot, which is the same
+    // instance of itemType for as long as the child exists if one is given.
+    _createItem: function (snapshot) {
+      var itemType = get(this, 'itemType');
+
+      if (!itemType) {
+        return this._createChildValue(snapshot);
+      }
+
+      var childName = snapshot.name();
+      var childValues = this._childValues;
+
+      if (!childValues[childName]) {
+        var itemsRef = get(this, 'itemsRef');
+        var ref = itemsRef ? itemsRef.child(childName) : snapshot.ref();
+
+        childValues[childName] = Firebase.Proxy.detect(itemType.proto()) ? itemType.find(ref) : itemType.create({ ref: ref });
+      }
+
+      return childValues[childName];
+    },
+
+    childWasAdded: function (snapshot, previousName) {
+      // Children that are already loaded are added again after paging.
+      if (this.hasChild(snapshot.name())) {
+        this.childWasMoved(snapshot, previousName);
+        this.childWasChanged(snapshot, previousName);
+        return;
+      }
+
+      this._priorities[snapshot.name()] = snapshot.getPriority();
+
+      var index = this._indexAfter(previousName);
+      var item = this._createItem(snapshot);
+      get(this, 'content').replace(index, 0, [ item ]);
+      get(this, 'names').replace(index, 0, [ snapshot.name() ]);
+
+      this._notifyViews('childWasAdded', snapshot.name(), item);
+    },
+
+    childWasChanged: function (snapshot, previousName) {
+      this._priorities[snapshot.name()] = snapshot.getPriority();
+
+      var value = this._createItem(snapshot);
+      var index = this._indexAfter(previousName);
+
+      // In some cases createValueFromSnapshot may return the same
+      // object, as does itemType. If it does, we can skip the replace.
+      if (this.objectAt(index) !== value) {
+        get(this, 'content').replace(index, 1, [ value ]);
+        get(this, 'names').replace(index, 1, [ snapshot.name() ]);
+      }
+
+      // Views may depend on the properties of the value even if it's the same.
+      this._notifyViews('childWasChanged', snapshot.name(), value);
+    },
+
+    childWasRemoved: function (snapshot) {
+      var childName = snapshot.name();
+
+      delete this._priorities[childName];
+
+      var index = get(this, 'names').indexOf(childName);
+
+      if (index !== -1) {
+        get(this, 'content').replace(index, 1);
+        get(this, 'names').replace(index, 1);
+        this._notifyViews('childWasRemoved', childName);
+      }
+
+      this._releaseChildValue(childName);
+    },
+
+    childWasMoved: function (snapshot, previousName) {
+      this._priorities[snapshot.name()] = snapshot.getPriority();
+
+      var fromIndex = get(this, 'names').indexOf(snapshot.name());
+      var toIndex = this._indexAfter(previousName);
+
+      if (fromIndex !== toIndex) {
+        if (fromIndex !== -1) {
+          get(this, 'content').replace(fromIndex, 1);
+          get(this, 'names').replace(fromIndex, 1);
+
+          // Keep toIndex accurate since we just removed one.
+          if (toIndex > fromIndex) {
+            toIndex -= 1;
+          }
+        }
+
+        var item = this._createItem(snapshot);
+        get(this, 'content').replace(toIndex, 0, [ item ]);
+        get(this, 'names').replace(toIndex, 0, [ snapshot.name() ]);
+
+        this._notifyViews('childWasMoved', snapshot.name(), item);
+      }
+    },
+
+    /**
+     * Returns a live, read-only array of the items in this list sorted by the
+     * value of the given property. Pass 'desc' as the second argument to sort
+     * in descending order. Items with equal values are sorted by child name.
+     *
+     * The array is updated one item at a time as this list changes, so it
+     * is much faster than Ember.SortableMixin for large lists. Destroy it
+     * when you no longer need it.
+     *
+     *   var newest = messages.sortedBy('createdAt', 'desc');
+     */
+    sortedBy: function (key, direction) {
+      var order = direction === 'desc' ? -1 : 1;
+
+      return ListView.create({
+        list: this,
+        compare: function (a, b) {
+          return order * Ember.compare(get(a, key), get(b, key));
+        }
+      });
+    },
+
+    /**
+     * Returns a live, read-only array of the items in this list for which the
+     * given function returns true, in the same order as this list. Like the
+     * arrays returned by `sortedBy`, it is updated one item at a time.
+     *
+     *   var unread = messages.filteredBy(function (message) {
+     *     return !get(message, 'isRead');
+     *   });
+     */
+    filteredBy: function (callback) {
+      return ListView.create({ list: this, filter: callback });
+    },
+
+    _addView: function (view) {
+      this._views.push(view);
+
+      forEach(get(this, 'names'), function (childName, index) {
+        view.childWasAdded(childName, this.objectAt(index));
+      }, this);
+    },
+
+    _removeView: function (view) {
+      this._views.splice(this._views.indexOf(view), 1);
+    },
+
+    _notifyViews: function (methodName, childName, item) {
+      forEach(this._views, function (view) {
+        view[methodName](childName, item);
+      });
+    },
+
+    /**
+     * All Ember.MutableArray methods use this method to modify the array proxy's
+     * content. We use it to make modifications on the underlying ref instead which
+     * propagates those changes to all listeners synchronously.
+     */
+    replaceContent: function (index, amount, objects) {
+      var ref = get(this, 'baseRef');
+
+      if (!ref) {
+        throw new Error(fmt('Cannot replace content of %@, ref is missing', [ this ]));
+      }
+
+      var priorities;
+
+      // Find priorities for the new objects before their neighbors change.
+      if (get(this, 'ordered')) {
+        var between = this._prioritiesBetween(this.childNameAt(index - 1), this.childNameAt(index + amount), get(objects, 'length'));
+        priorities = between.priorities;
+
+        // Rebalancing errors are already reported.
+        between.rebalanced.then(null, Ember.K);
+      }
+
+      // Remove objects that are being replaced.
+      forEach(get(this, 'names').slice(index, index + amount), function (childName) {
+        var childRef = ref.child(childName);
+        childRef.remove(this._completionCallback('remove', childRef));
+      }, this);
+
+      // Add new objects. Unless this list is ordered they are
+      // simply appended to the end.
+      forEach(objects, function (object, i) {
+        var childRef = ref.push();
+        var onComplete = this._completionCallback('push', childRef);
+
+        set(this, 'lastPushedName', childRef.name());
+
+        var value = this._newChildValue(object);
+
+        if (priorities) {
+          childRef.setWithPriority(value, priorities[i], onComplete);
+        } else {
+          childRef.set(value, onComplete);
+        }
+      }, this);
+    },
+
+    // Returns evenly spaced priorities for the given number of objects that
+    // go between the children with the given names, either of which may be
+    // undefined, along with a promise for the rebalance that happens first
+    // if the neighbors' priorities don't leave enough room or aren't numeric.
+    // The new priorities are applied locally right away, so the returned
+    // priorities don't need to wait for it.
+    _prioritiesBetween: function (lowerName, upperName, count) {
+      var priorities = this._priorities;
+      var lower = priorities[lowerName];
+      var upper = priorities[upperName];
+
+      var isNumeric = (lowerName === undefined || typeof lower === 'number') && (upperName === undefined || typeof upper === 'number');
+      var isDense = lowerName !== undefined && upperName !== undefined && (upper - lower) / (count + 1) < get(this, 'rebalanceThreshold');
+
+      var rebalanced = RSVP.resolve();
+      var result = isNumeric && !isDense && getPrioritiesBetween(lower, upper, count);
+
+      // Large priorities, e.g. timestamps, may not have room for
+      // more values between them no matter what the threshold is.
+      if (!result) {
+        rebalanced = this.rebalance();
+
+        // The rebalance isn't applied locally when it fails, e.g. because
+        // writing is forbidden, in which case these writes fail as well.
+        result = getPrioritiesBetween(priorities[lowerName], priorities[upperName], count) ||
+          getPrioritiesBetween(undefined, undefined, count);
+      }
+
+      return { priorities: result, rebalanced: rebalanced };
+    },
+
+    /**
+     * Moves the object at the given index so that it ends up at toIndex, for
+     * every client. See moveChild.
+     */
+    moveObject: function (fromIndex, toIndex) {
+      var childName = this.childNameAt(fromIndex);
+
+      if (childName === undefined) {
+        throw new Error(fmt('Cannot move index %@ of %@, it is out of range', [ fromIndex, this ]));
+      }
+
+      return this.moveChild(childName, toIndex);
+    },
+
+    /**
+     * Moves the child with the given name so that it ends up at the given
+     * index, for every client. Only the moved child's priority is written,
+     * with a value between the priorities of its new neighbors (see `ordered`).
+     * When those don't leave enough room or aren't numbers, e.g. because the
+     * children were added without priorities, every child is given a new
+     * priority first (see `rebalance`). Returns a promise that resolves to the
+     * child's location reference when the sync is complete.
+     */
+    moveChild: function (childName, toIndex) {
+      var names = get(this, 'names');
+      var fromIndex = names.indexOf(childName);
+
+      if (fromIndex === -1) {
+        throw new Error(fmt('Cannot move child "%@" of %@, it does not exist', [ childName, this ]));
+      }
+
+      if (toIndex < 0 || toIndex >= get(names, 'length')) {
+        throw new Error(fmt('Cannot move child "%@" of %@ to index %@, it is out of range', [ childName, this, toIndex ]));
+      }
+
+      var childRef = this.childRef(childName);
+
+      if (toIndex === fromIndex) {
+        return RSVP.resolve(childRef);
+      }
+
+      var otherNames = names.without(childName);
+      var between = this._prioritiesBetween(otherNames[toIndex - 1], otherNames[toIndex], 1);
+      var promise = Firebase.setPriority(childRef, between.priorities[0]).then(null, this._rejectionHandler('setPriority', childRef));
+
+      return RSVP.all([ between.rebalanced, promise ]).then(function () {
+        return childRef;
+      });
+    },
+
+    /**
+     * Gives every child of this list a new priority that preserves its
+     * current position, with each child one more than the last. Returns a
+     * promise that resolves when all priorities are sync'd.
+     *
+     * Lists that only include some of their ref's children (see `limit`,
+     * `pageSize`, `startAt` and `endAt`) can't be rebalanced, since that would
+     * change their order relative to the children that aren't included.
+     */
+    rebalance: function () {
+      var ref = get(this, 'baseRef');
+
+      if (!ref) {
+        throw new Error(fmt('Cannot rebalance %@, ref is missing', [ this ]));
+      }
+
+      if (get(this, 'query') !== get(this, 'ref')) {
+        throw new Error(fmt('Cannot rebalance %@, it only includes some of the children of its ref', [ this ]));
+      }
+
+      return RSVP.all(map(get(this, 'names').slice(), function (childName, index) {
+        var childRef = ref.child(childName);
+        return Firebase.setPriority(childRef, index + 1).then(null, this._rejectionHandler('setPriority', childRef));
+      }, this));
+    },
+
+    /**
+     * Adds an object to the end of this list. Returns a promise that resolves
+     * to the new child's location reference when the sync is complete.
+     */
+    pushObjectWithPromise: function (object) {
+      return this._push(object);
+    },
+
+    /**
+     * A convenience method for unconditionally adding an object to this list
+     * with the given priority. Returns a promise that resolves to the new
+     * child's location reference when the sync is complete.
+     *
+     * See https://www.firebase.com/docs/ordered-data.html
+     */
+    pushWithPriority: function (object, priority) {
+      return this._push(object, priority);
+    },
+
+    _push: function (object, priority) {
+      var ref = get(this, 'baseRef');
+
+      if (!ref) {
+        throw new Error(fmt('Cannot push object %@ on %@, ref is missing', [ object, this ]));
+      }
+
+      // Like replaceContent, ordered lists give the new
+      // child a priority after the last one.
+      var rebalanced = RSVP.resolve();
+
+      if (priority === undefined && get(this, 'ordered')) {
+        var between = this._prioritiesBetween(this.childNameAt(get(this, 'length') - 1), undefined, 1);
+        priority = between.priorities[0];
+        rebalanced = between.rebalanced;
+      }
+
+      // Create the child ref here instead of using Firebase.push
+      // so that the name of the new child is known right away.
+      var childRef = ref.push();
+      set(this, 'lastPushedName', childRef.name());
+
+      var promise = Firebase.set(childRef, this._newChildValue(object), priority).then(null, this._rejectionHandler('push', childRef));
+
+      return RSVP.all([ rebalanced, promise ]).then(function () {
+        return childRef;
+      });
+    },
+
+    _newChildValue: function (object) {
+      var value = getFirebaseValue(object);
+      return get(this, 'timestamps') ? addTimestamp(value, 'createdAt') : value;
+    },
+
+    /**
+     * Removes the object at the given index from this list. Returns a promise
+     * that resolves to the removed child's location reference when the sync
+     * is complete.
+     */
+    removeAtWithPromise: function (index) {
+      var childName = this.childNameAt(index);
+
+      if (childName === undefined) {
+        throw new Error(fmt('Cannot remove index %@ from %@, it is out of range', [ index, this ]));
+      }
+
+      var childRef = this.childRef(childName);
+
+      return Firebase.remove(childRef).then(null, this._rejectionHandler('remove', childRef));
+    },
+
+    /**
+     * Returns a new Firebase.Hash created from this list's location reference.
+     */
+    toHash: function () {
+      return Firebase.Hash.create({ ref: get(this, 'ref') });
+    },
+
+    /**
+     * Returns a plain JavaScript object representation of this list.
      */
     toJSON: function () {
-      var json = {};
-
       var content = get(this, 'content');
-      for (var property in content) {
-        json[property] = getFirebaseValue(get(content, property));
+      var names = get(this, 'names');
+
+      var json = {};
+      for (var i = 0, len = names.length; i < len; ++i) {
+        json[names[i]] = getFirebaseValue(content[i]);
       }
 
       return json;
@@ -606,184 +2401,423 @@
 
   });
 
-  Firebase.Hash.reopenClass({
+  Firebase.List.reopenClass({
+
+    find: findProxy,
 
     toString: function () {
-      return 'Firebase.Hash';
+      return 'Firebase.List';
     }
 
   });
 
   /**
-   * An Ember.ArrayProxy for a Firebase data structure that respects ordering of children.
+   * A computed property macro for a Firebase.Hash property that stores the id
+   * of a child of the location at the given path under the root. Reading the
+   * property returns an instance of the given Firebase.Hash type for that
+   * child, or null if there is no id. Setting it to an instance (or an id)
+   * stores its id.
    *
-   * IMPORTANT: There is currently no way to atomically alter the ordering of children
-   * in a Firebase data structure. Thus, when you add objects to a Firebase.List using
-   * Ember.MutableArray's methods (e.g. insertAt, unshiftObject, etc.) you will not
-   * see that ordering in the list. Instead, all objects added to a list are simply
-   * appended to the end.
+   *   var Post = Firebase.Hash.extend({
+   *     author: Firebase.belongsTo('users', User)
+   *   });
    *
-   * If you need to enforce your own ordering you must use Firebase's priority feature.
-   * You can either use the setWithPriority method directly on a child of this list's
-   * location reference, or use pushWithPriority.
+   *   post.set('author', user); // stores the name of user's ref
+   */
+  Firebase.belongsTo = function (path, type) {
+    return Ember.computed('baseRef', function (key, value) {
+      if (arguments.length > 1) {
+        this.setUnknownProperty(key, value == null ? null : getRelatedId(value));
+      }
+
+      var baseRef = get(this, 'baseRef');
+      var id = this.unknownProperty(key);
+      var ref = baseRef && id != null && baseRef.root().child(path).child(id);
+
+      return getRelatedProxy(this, key, ref, function (ref) {
+        return type.find(ref);
+      });
+    }).meta({ isRelationship: true });
+  };
+
+  /**
+   * A computed property macro for a Firebase.Hash property that stores an
+   * index of the ids of children of the location at the given path under the
+   * root, e.g. { "id1": true, "id2": true }. Reading the property returns a
+   * Firebase.List of instances of the given Firebase.Hash type for those
+   * children. Setting it to an array of instances (or ids) stores their ids.
    *
-   * For more information on how Firebase stores ordered data and priorities, see
-   * https://www.firebase.com/docs/managing-lists.html and
-   * https://www.firebase.com/docs/ordered-data.html
+   *   var Post = Firebase.Hash.extend({
+   *     comments: Firebase.hasMany('comments', Comment)
+   *   });
    */
-  Firebase.List = Ember.ArrayProxy.extend(Firebase.Proxy, {
+  Firebase.hasMany = function (path, type) {
+    return Ember.computed('baseRef', function (key, value) {
+      if (arguments.length > 1) {
+        var index = {};
 
-    names: null,
+        forEach(value || [], function (object) {
+          index[getRelatedId(object)] = true;
+        });
 
-    _setupRef: function () {
-      set(this, 'names', Ember.A());
-      set(this, 'content', Ember.A());
+        this.setUnknownProperty(key, index);
+      }
+
+      var baseRef = get(this, 'baseRef');
+      var ref = baseRef && baseRef.child(key);
+
+      return getRelatedProxy(this, key, ref, function (ref) {
+        return Firebase.List.create({
+          ref: ref,
+          itemType: type,
+          itemsRef: ref.root().child(path)
+        });
+      });
+    }).meta({ isRelationship: true });
+  };
+
+  // Returns the id of the given related object, which is the name of its
+  // ref if it's a proxy.
+  function getRelatedId(object) {
+    return Firebase.Proxy.detect(object) ? get(object, 'baseRef').name() : getId(object);
+  }
+
+  // Returns the proxy for the given ref that belongs to the given hash,
+  // finding a new one if the ref has changed. Like other child values it
+  // is released when it's replaced or when the hash's ref changes.
+  function getRelatedProxy(hash, key, ref, createProxy) {
+    var proxy = hash._childValues[key];
+
+    if (proxy && ref && get(proxy, 'baseUrl') === ref.toString()) {
+      return proxy;
+    }
+
+    hash._releaseChildValue(key);
+
+    if (!ref) {
+      return null;
+    }
+
+    return (hash._childValues[key] = createProxy(ref));
+  }
+
+  function isRelationship(object, key) {
+    var desc = Ember.meta(object).descs[key];
+    return desc instanceof Ember.ComputedProperty && Boolean(desc.meta().isRelationship);
+  }
+
+  // A read-only array of the items in a Firebase.List that pass its filter,
+  // kept in the order given by its compare function or else in list order.
+  // The list notifies it whenever one of its children changes.
+  var ListView = Ember.ArrayProxy.extend({
+
+    list: null,
+    compare: null,
+    filter: null,
+
+    init: function () {
       this._super();
+
+      // Like Firebase.Proxy, this modifies content
+      // so it needs to happen during the init event.
+      Ember.addListener(this, 'init', this, this._setup, true);
     },
 
-    /**
-     * Returns true if this list has a child with the given name.
-     *
-     * Note: This method only checks local values. Thus it may not be
-     * accurate when using a query to filter the data.
-     */
-    hasChild: function (childName) {
-      return get(this, 'names').contains(childName);
+    _setup: function () {
+      this._reset();
+      get(this, 'list')._addView(this);
     },
 
-    /**
-     * Returns the child name of the item at the given index.
-     */
-    childNameAt: function (index) {
-      return get(this, 'names').objectAt(index);
+    willDestroy: function () {
+      get(this, 'list')._removeView(this);
+      this._super();
     },
 
-    _indexAfter: function (childName) {
-      return childName ? get(this, 'names').indexOf(childName) + 1 : 0;
+    _reset: function () {
+      this._names = [];
+      this._includedNames = {};
+      set(this, 'content', Ember.A());
     },
 
-    childWasAdded: function (snapshot, previousName) {
-      var index = this._indexAfter(previousName);
-      get(this, 'content').replace(index, 0, [ this.createValueFromSnapshot(snapshot) ]);
-      get(this, 'names').replace(index, 0, [ snapshot.name() ]);
+    replaceContent: function () {
+      throw new Error(fmt('Cannot modify %@, it is a read-only view of %@', [ this, get(this, 'list') ]));
     },
 
-    childWasChanged: function (snapshot, previousName) {
-      var value = this.createValueFromSnapshot(snapshot);
-      var index = this._indexAfter(previousName);
+    childWasAdded: function (childName, item) {
+      var filter = get(this, 'filter');
 
-      // In some cases createValueFromSnapshot may return the
-      // same object. If it does, we can skip the replace.
-      if (this.objectAt(index) !== value) {
-        get(this, 'content').replace(index, 1, [ value ]);
-        get(this, 'names').replace(index, 1, [ snapshot.name() ]);
+      if (!filter || filter(item)) {
+        var index = this._indexFor(childName, item);
+
+        this._names.splice(index, 0, childName);
+        this._includedNames[childName] = true;
+        get(this, 'content').replace(index, 0, [ item ]);
       }
     },
 
-    childWasRemoved: function (snapshot) {
-      var index = get(this, 'names').indexOf(snapshot.name());
+    childWasChanged: function (childName, item) {
+      var filter = get(this, 'filter');
+      var index = this._includedNames[childName] ? this._names.indexOf(childName) : -1;
 
-      if (index !== -1) {
+      // Avoid moving the item if it's still in the right place.
+      if (index !== -1 && (!filter || filter(item)) && this._fitsAt(index, childName, item)) {
+        if (this.objectAt(index) !== item) {
+          get(this, 'content').replace(index, 1, [ item ]);
+        }
+      } else {
+        this.childWasRemoved(childName);
+        this.childWasAdded(childName, item);
+      }
+    },
+
+    childWasRemoved: function (childName) {
+      if (this._includedNames[childName]) {
+        var index = this._names.indexOf(childName);
+
+        this._names.splice(index, 1);
+        delete this._includedNames[childName];
         get(this, 'content').replace(index, 1);
-        get(this, 'names').replace(index, 1);
       }
     },
 
-    childWasMoved: function (snapshot, previousName) {
-      var fromIndex = get(this, 'names').indexOf(snapshot.name());
-      var toIndex = this._indexAfter(previousName);
+    childWasMoved: function (childName, item) {
+      // Sorted items don't depend on the order of the list.
+      if (get(this, 'compare')) {
+        this.childWasChanged(childName, item);
+      } else {
+        this.childWasRemoved(childName);
+        this.childWasAdded(childName, item);
+      }
+    },
 
-      if (fromIndex !== toIndex) {
-        if (fromIndex !== -1) {
-          get(this, 'content').replace(fromIndex, 1);
-          get(this, 'names').replace(fromIndex, 1);
+    _compare: function (aName, a, bName, b) {
+      return get(this, 'compare')(a, b) || (aName < bName ? -1 : (aName > bName ? 1 : 0));
+    },
 
-          // Keep toIndex accurate since we just removed one.
-          if (toIndex > fromIndex) {
-            toIndex -= 1;
+    _fitsAt: function (index, childName, item) {
+      if (!get(this, 'compare')) {
+        return true;
+      }
+
+      var names = this._names;
+      var lastIndex = names.length - 1;
+
+      return (index === 0 || this._compare(names[index - 1], this.objectAt(index - 1), childName, item) < 0) &&
+        (index === lastIndex || this._compare(childName, item, names[index + 1], this.objectAt(index + 1)) < 0);
+    },
+
+    _indexFor: function (childName, item) {
+      var names = this._names;
+
+      if (get(this, 'compare')) {
+        var low = 0, high = names.length;
+
+        while (low < high) {
+          var middle = (low + high) >>> 1;
+
+          if (this._compare(names[middle], this.objectAt(middle), childName, item) < 0) {
+            low = middle + 1;
+          } else {
+            high = middle;
           }
         }
 
-        get(this, 'content').replace(toIndex, 0, [ this.createValueFromSnapshot(snapshot) ]);
-        get(this, 'names').replace(toIndex, 0, [ snapshot.name() ]);
+        return low;
+      }
+
+      // Insert after the nearest included item that comes before it in the
+      // list. New items are usually at the end, so search from there.
+      var listNames = get(get(this, 'list'), 'names');
+      var listIndex = listNames.lastIndexOf(childName);
+
+      while (--listIndex >= 0) {
+        if (this._includedNames[listNames.objectAt(listIndex)]) {
+          return names.lastIndexOf(listNames.objectAt(listIndex)) + 1;
+        }
       }
-    },
+
+      return 0;
+    }
+
+  });
+
+  /**
+   * Keeps track of which users are online. While this client is connected to
+   * Firebase it adds a session for the current user at usersPath/<userId>,
+   * which the server removes when the client disconnects, even if the page
+   * is closed. Every tab or device gets its own session, so a user is online
+   * as long as any of them are. The time each user was last online is stored
+   * at lastSeenPath/<userId>.
+   *
+   *   var presence = Firebase.Presence.create({
+   *     ref: new Firebase('https://my-firebase.firebaseio.com'),
+   *     userId: 'mj'
+   *   });
+   *
+   *   presence.get('onlineUsers.names'); // => [ 'mj', ... ]
+   */
+  Firebase.Presence = Ember.Object.extend(ErrorReporting, {
 
     /**
-     * All Ember.MutableArray methods use this method to modify the array proxy's
-     * content. We use it to make modifications on the underlying ref instead which
-     * propagates those changes to all listeners synchronously.
+     * The Firebase location reference that the paths below are relative to.
+     * This and the paths may not change after the presence is created.
      */
-    replaceContent: function (index, amount, objects) {
-      var ref = get(this, 'baseRef');
+    ref: null,
 
-      if (!ref) {
-        throw new Error(fmt('Cannot replace content of %@, ref is missing', [ this ]));
-      }
+    /**
+     * The path of the location where the sessions of each user are stored.
+     */
+    usersPath: 'presence',
 
-      // Remove objects that are being replaced.
-      forEach(get(this, 'names').slice(index, index + amount), function (childName) {
-        ref.child(childName).remove();
-      });
+    /**
+     * The path of the location where the server timestamp of the last time
+     * each user was online is stored.
+     */
+    lastSeenPath: 'lastSeen',
 
-      // Add new objects.
-      forEach(objects, function (object) {
-        // TODO: Is there any way we can add the objects
-        // at the given index instead of just using push?
-        ref.push().set(getFirebaseValue(object));
-      });
-    },
+    /**
+     * The id of the current user. There is no session while this is null,
+     * so set it when a user logs in and clear it when they log out.
+     */
+    userId: null,
 
     /**
-     * A convenience method for unconditionally adding an object to this list
-     * with the given priority.
-     *
-     * See https://www.firebase.com/docs/ordered-data.html
+     * True while this client is connected to Firebase. This is bound
+     * to the value at .info/connected.
      */
-    pushWithPriority: function (object, priority) {
-      var ref = get(this, 'baseRef');
+    isConnected: false,
+
+    /**
+     * The location reference of the current session, or null.
+     */
+    sessionRef: null,
+
+    /**
+     * A Firebase.List of the users that are online. The name of each child
+     * is a user id (see Firebase.List#names) and its value is an object with
+     * the user's sessions.
+     */
+    onlineUsers: null,
+
+    init: function () {
+      this._super();
+
+      var ref = get(this, 'ref');
 
       if (!ref) {
-        throw new Error(fmt('Cannot push object %@ on %@, ref is missing', [ object, this ]));
+        throw new Error(fmt('Cannot create %@, ref is missing', [ this ]));
       }
 
-      ref.push().setWithPriority(getFirebaseValue(object), priority);
+      set(this, 'onlineUsers', Firebase.List.create({ ref: ref.child(get(this, 'usersPath')) }));
 
-      return object;
+      this._connectedBinding = Firebase.oneWay(this, 'isConnected', ref.root().child('.info/connected'));
     },
 
-    /**
-     * Returns a new Firebase.Hash created from this list's location reference.
-     */
-    toHash: function () {
-      return Firebase.Hash.create({ ref: get(this, 'ref') });
+    willDestroy: function () {
+      if (get(this, 'sessionRef')) {
+        this._endSession(get(this, 'isConnected'));
+      }
+
+      this._connectedBinding.disconnect(this);
+      get(this, 'onlineUsers').destroy();
     },
 
     /**
-     * Returns a plain JavaScript object representation of this list.
+     * Returns the location reference of the last time the user with
+     * the given id was online.
      */
-    toJSON: function () {
-      var content = get(this, 'content');
-      var names = get(this, 'names');
+    lastSeenRef: function (userId) {
+      return get(this, 'ref').child(get(this, 'lastSeenPath')).child(userId);
+    },
 
-      var json = {};
-      for (var i = 0, len = names.length; i < len; ++i) {
-        json[names[i]] = getFirebaseValue(content[i]);
+    _sessionNeedsUpdate: Ember.observer('isConnected', 'userId', function () {
+      var isConnected = get(this, 'isConnected');
+      var userId = get(this, 'userId');
+      var sessionRef = get(this, 'sessionRef');
+
+      if (sessionRef && (!isConnected || sessionRef.parent().name() !== userId)) {
+        this._endSession(isConnected);
       }
 
-      return json;
+      if (isConnected && userId != null && !get(this, 'sessionRef')) {
+        this._startSession(userId);
+      }
+    }),
+
+    _startSession: function (userId) {
+      var sessionRef = get(this, 'ref').child(get(this, 'usersPath')).child(userId).push();
+      var lastSeenRef = this.lastSeenRef(userId);
+      var timestamp = Firebase.SERVER_TIMESTAMP;
+
+      // Ask the server to clean up before adding the session
+      // so it can't be left behind.
+      sessionRef.onDisconnect().remove(this._completionCallback('onDisconnect', sessionRef));
+      lastSeenRef.onDisconnect().set(timestamp, this._completionCallback('onDisconnect', lastSeenRef));
+
+      sessionRef.set(true, this._completionCallback('set', sessionRef));
+      lastSeenRef.set(timestamp, this._completionCallback('set', lastSeenRef));
+
+      set(this, 'sessionRef', sessionRef);
+    },
+
+    _endSession: function (isConnected) {
+      var sessionRef = get(this, 'sessionRef');
+
+      set(this, 'sessionRef', null);
+
+      // The server has already cleaned up when the client is disconnected.
+      if (!isConnected) return;
+
+      var lastSeenRef = this.lastSeenRef(sessionRef.parent().name());
+
+      sessionRef.onDisconnect().cancel(this._completionCallback('onDisconnect', sessionRef));
+      lastSeenRef.onDisconnect().cancel(this._completionCallback('onDisconnect', lastSeenRef));
+
+      sessionRef.remove(this._completionCallback('remove', sessionRef));
+      lastSeenRef.set(Firebase.SERVER_TIMESTAMP, this._completionCallback('set', lastSeenRef));
+    },
+
+    toString: function () {
+      var ref = get(this, 'ref');
+      return fmt('<%@:%@>', [ this.constructor, ref && ref.toString() ]);
     }
 
   });
 
-  Firebase.List.reopenClass({
+  Firebase.Presence.reopenClass({
 
     toString: function () {
-      return 'Firebase.List';
+      return 'Firebase.Presence';
     }
 
   });
 
+  // Returns the given number of evenly spaced priorities between the given
+  // ones, either of which may be undefined, or null if they can't be
+  // represented in strictly increasing order.
+  function getPrioritiesBetween(lower, upper, count) {
+    if (lower === undefined) {
+      lower = upper === undefined ? 0 : upper - count - 1;
+    }
+
+    if (upper === undefined) {
+      upper = lower + count + 1;
+    }
+
+    var result = [];
+    var previous = lower;
+
+    for (var i = 1; i <= count; ++i) {
+      var priority = lower + (upper - lower) * i / (count + 1);
+
+      if (!(previous < priority)) return null;
+
+      result.push(previous = priority);
+    }
+
+    return previous < upper ? result : null;
+  }
+
   // The default function used to coerce the value from a snapshot.
   function getSnapshotValue(snapshot) {
     return snapshot.val();
@@ -792,9 +2826,83 @@
   // Returns a representation of the given object that is able to be saved
   // to a Firebase location.
   function getFirebaseValue(object) {
+    if (isServerValue(object)) {
+      return object;
+    }
+
     return object && isFunction(object.toJSON) ? object.toJSON() : object;
   }
 
+  // Returns true if the given object is a placeholder that the Firebase
+  // servers replace with a value, e.g. Firebase.SERVER_TIMESTAMP.
+  function isServerValue(object) {
+    return Boolean(object) && typeof object === 'object' && object['.sv'] !== undefined;
+  }
+
+  // Returns a copy of the given value with the given property set to
+  // Firebase.SERVER_TIMESTAMP. Values that aren't objects can't have
+  // properties and values that already have it are left alone, so
+  // they are returned as they are.
+  function addTimestamp(value, property) {
+    if (!value || typeof value !== 'object' || Ember.isArray(value) || isServerValue(value) || value.hasOwnProperty(property)) {
+      return value;
+    }
+
+    var copy = Ember.merge({}, value);
+    copy[property] = Firebase.SERVER_TIMESTAMP;
+
+    return copy;
+  }
+
+  // Returns an array of error messages for the given value using
+  // the given rules. See Firebase.Hash#validations.
+  function validateValue(value, rules, object) {
+    var messages = [];
+
+    // The value isn't known until the servers replace it.
+    if (isServerValue(value)) {
+      return messages;
+    }
+
+    if (value == null || value === '') {
+      if (rules.required) {
+        messages.push('is required');
+      }
+
+      return messages;
+    }
+
+    var type = Ember.typeOf(value);
+
+    if (rules.type && type !== rules.type) {
+      messages.push(fmt('must be a %@', [ rules.type ]));
+      return messages;
+    }
+
+    var size = type === 'number' ? value : get(value, 'length');
+    var unit = type === 'number' ? '' : ' in length';
+
+    if (rules.min != null && size < rules.min) {
+      messages.push(fmt('must be at least %@%@', [ rules.min, unit ]));
+    }
+
+    if (rules.max != null && size > rules.max) {
+      messages.push(fmt('must be at most %@%@', [ rules.max, unit ]));
+    }
+
+    if (rules.pattern && !rules.pattern.test(String(value))) {
+      messages.push('is invalid');
+    }
+
+    var message = rules.validate && rules.validate(value, object);
+
+    if (message) {
+      messages.push(message);
+    }
+
+    return messages;
+  }
+
   function isFirebaseQuery(object) {
     return object && isFunction(object.ref);
   }
@@ -51,6 +51,132 @@ describe('Firebase.Binding', function () {
 
 });
 
+describe('A Firebase.Binding', function () {
+
+  var MyObject = Ember.Object.extend({
+    myValue: null
+  });
+
+  var secretRef, object, binding;
+  beforeEach(function () {
+    secretRef = BASE_REF.child('secret');
+    Firebase.denyAccess(secretRef);
+    object = MyObject.create();
+  });
+
+  afterEach(function () {
+    binding.disconnect(object);
+    Firebase.grantAccess(secretRef);
+  });
+
+  describe('when reading is forbidden', function () {
+    var error;
+    beforeEach(function (done) {
+      binding = new Firebase.Binding('myValue', secretRef);
+      binding.on('didError', function (e) {
+        error = e;
+        done();
+      });
+
+      binding.connect(object);
+    });
+
+    it('is forbidden', function () {
+      expect(Ember.get(binding, 'isForbidden')).to.equal(true);
+    });
+
+    it('reports the error', function () {
+      expect(error.operation).to.equal('listen');
+      expect(error.isForbidden).to.equal(true);
+      expect(Ember.get(binding, 'error')).to.equal(error);
+    });
+  });
+
+  describe('when writing is forbidden', function () {
+    var error;
+    beforeEach(function (done) {
+      Firebase.grantAccess(secretRef);
+      Firebase.denyAccess(secretRef, 'write');
+
+      binding = Firebase.bind(object, 'myValue', secretRef);
+      binding.on('didError', function (e) {
+        error = e;
+        done();
+      });
+
+      object.set('myValue', 'a value');
+    });
+
+    it('is not forbidden', function () {
+      expect(Ember.get(binding, 'isForbidden')).to.equal(false);
+    });
+
+    it('reports the error', function () {
+      expect(error.operation).to.equal('set');
+      expect(error.path).to.equal(secretRef.toString());
+    });
+  });
+
+});
+
+describe('A Firebase.Binding with a transform', function () {
+
+  var MyObject = Ember.Object.extend({
+    createdAt: null,
+    createdAtBinding: Firebase.Binding.from(BASE_REF).transform({
+      read: function (timestamp) {
+        return timestamp == null ? null : new Date(timestamp);
+      },
+      write: function (date) {
+        return date.getTime();
+      }
+    })
+  });
+
+  var object;
+  beforeEach(function () {
+    object = MyObject.create();
+  });
+
+  afterEach(function () {
+    Ember.run(object, 'destroy');
+  });
+
+  describe('when the object path is set', function () {
+    var date, refValue;
+    beforeEach(function (done) {
+      BASE_REF.once('value', function (snapshot) {
+        refValue = snapshot.val();
+        done();
+      });
+
+      object.set('createdAt', date = new Date(1234));
+    });
+
+    it('writes the transformed value to the ref', function () {
+      expect(refValue).to.equal(date.getTime());
+    });
+  });
+
+  describe('when the ref value is set', function () {
+    var pathValue;
+    beforeEach(function (done) {
+      Ember.addObserver(object, 'createdAt', function () {
+        pathValue = object.get('createdAt');
+        done();
+      });
+
+      BASE_REF.set(5678);
+    });
+
+    it('reads the transformed value from the ref', function () {
+      expect(pathValue).to.be.instanceof(Date);
+      expect(pathValue.getTime()).to.equal(5678);
+    });
+  });
+
+});
+
 describe('Firebase.bind', function () {
 
   var MyObject = Ember.Object.extend({
@@ -72,6 +72,20 @@ describe('Firebase.get and Firebase.set', function () {
 
 });
 
+describe('Firebase.SERVER_TIMESTAMP', function () {
+
+  it('is written as the server time', function () {
+    var startTime = new Date().getTime();
+
+    return Firebase.set(BASE_REF, { createdAt: Firebase.SERVER_TIMESTAMP })
+      .then(Firebase.get)
+      .then(function (value) {
+        expect(value.createdAt).to.be.at.least(startTime);
+      });
+  });
+
+});
+
 describe('Firebase.update', function () {
 
   var result;
@@ -118,6 +132,443 @@ describe('Firebase.update', function () {
 
 });
 
+describe('Firebase.batch', function () {
+
+  var postRef, feedRef;
+  beforeEach(function () {
+    postRef = BASE_REF.child('posts/hello');
+    feedRef = BASE_REF.child('users/mj/feed/hello');
+  });
+
+  describe('when committed', function () {
+    var valueCount, results;
+    beforeEach(function (done) {
+      BASE_REF.on('value', function () {
+        valueCount += 1;
+      });
+
+      // Wait for the initial value before counting.
+      BASE_REF.once('value', function () {
+        valueCount = 0;
+
+        Firebase.batch()
+          .set(postRef, { title: 'Hello' })
+          .set(feedRef, true)
+          .update(BASE_REF.child('users/mj'), { name: 'Michael', 'stats/posts': 1 })
+          .remove(BASE_REF.child('drafts/old'))
+          .commit().then(function (value) {
+            results = value;
+            done();
+          }, done);
+      });
+    });
+
+    it('writes all values', function () {
+      return Firebase.get(BASE_REF).then(function (value) {
+        expect(value).to.eql({
+          posts: { hello: { title: 'Hello' } },
+          users: { mj: { name: 'Michael', feed: { hello: true }, stats: { posts: 1 } } }
+        });
+      });
+    });
+
+    it('writes them all at once', function () {
+      expect(valueCount).to.equal(1);
+    });
+
+    it('resolves to the ref of each write', function () {
+      expect(results.length).to.equal(4);
+      expect(results[0]).to.equal(postRef);
+      expect(results[1]).to.equal(feedRef);
+    });
+  });
+
+  describe('when a single location is set', function () {
+    beforeEach(function () {
+      return Firebase.batch().set(postRef, 'a').commit();
+    });
+
+    it('writes the value', function () {
+      return Firebase.get(postRef).then(function (value) {
+        expect(value).to.equal('a');
+      });
+    });
+  });
+
+  describe('when one of the writes is forbidden', function () {
+    var error;
+    beforeEach(function () {
+      Firebase.denyAccess(feedRef, 'write');
+
+      return Firebase.batch().set(postRef, 'a').set(feedRef, true).commit().then(null, function (e) {
+        error = e;
+      });
+    });
+
+    afterEach(function () {
+      Firebase.grantAccess(feedRef);
+    });
+
+    it('rejects', function () {
+      expect(error).to.be.instanceof(Error);
+    });
+
+    it('writes nothing', function () {
+      return Firebase.get(postRef).then(function (value) {
+        expect(value).to.equal(null);
+      });
+    });
+  });
+
+  describe('when the writes do not share the same root', function () {
+    var error;
+    beforeEach(function () {
+      var otherRef = new Firebase('https://another-firebase.firebaseio.com/posts/hello');
+
+      return Firebase.batch().set(postRef, 'a').set(otherRef, 'b').commit().then(null, function (e) {
+        error = e;
+      });
+    });
+
+    it('rejects', function () {
+      expect(error.message).to.equal('Cannot commit Firebase.Batch, ' + postRef + ' and https://another-firebase.firebaseio.com/posts/hello do not share the same root');
+    });
+  });
+
+  describe('when a write is to the root', function () {
+    var error;
+    beforeEach(function () {
+      return Firebase.batch().set(postRef.root(), 'a').commit().then(null, function (e) {
+        error = e;
+      });
+    });
+
+    it('rejects', function () {
+      expect(error.message).to.equal('Cannot commit Firebase.Batch, it writes to the root');
+    });
+  });
+
+  describe('when the writes are to a location and its children', function () {
+    var error;
+    beforeEach(function () {
+      return Firebase.batch().set(postRef, 'a').set(postRef.child('title'), 'b').commit().then(null, function (e) {
+        error = e;
+      });
+    });
+
+    it('rejects', function () {
+      expect(error.message).to.match(/^Cannot commit Firebase\.Batch, it writes to both \S+ and \S+\/title$/);
+    });
+
+    it('writes nothing', function () {
+      return Firebase.get(postRef).then(function (value) {
+        expect(value).to.equal(null);
+      });
+    });
+  });
+
+});
+
+describe('Firebase.onDisconnect', function () {
+
+  var statusRef;
+  beforeEach(function () {
+    statusRef = BASE_REF.child('users/mj/status');
+    return Firebase.set(statusRef, 'online');
+  });
+
+  afterEach(function () {
+    Firebase.goOnline();
+    return Firebase.onDisconnect(BASE_REF).cancel();
+  });
+
+  function disconnect() {
+    Firebase.goOffline();
+  }
+
+  describe('set', function () {
+    var result;
+    beforeEach(function () {
+      return Firebase.onDisconnect(statusRef).set('offline').then(function (ref) {
+        result = ref;
+      });
+    });
+
+    it('resolves to the ref', function () {
+      expect(result).to.equal(statusRef);
+    });
+
+    it('does not change the value right away', function () {
+      return Firebase.get(statusRef).then(function (value) {
+        expect(value).to.equal('online');
+      });
+    });
+
+    it('sets the value when the client disconnects', function () {
+      disconnect();
+
+      return Firebase.get(statusRef).then(function (value) {
+        expect(value).to.equal('offline');
+      });
+    });
+  });
+
+  describe('setWithPriority', function () {
+    beforeEach(function () {
+      return Firebase.onDisconnect(statusRef).setWithPriority('offline', 3).then(disconnect);
+    });
+
+    it('sets the value and priority when the client disconnects', function () {
+      return Firebase.get(statusRef, function (snapshot) {
+        return [ snapshot.val(), snapshot.getPriority() ];
+      }).then(function (value) {
+        expect(value).to.eql([ 'offline', 3 ]);
+      });
+    });
+  });
+
+  describe('update', function () {
+    beforeEach(function () {
+      return Firebase.onDisconnect(statusRef.parent()).update({ status: 'away', typing: false }).then(disconnect);
+    });
+
+    it('updates the value when the client disconnects', function () {
+      return Firebase.get(statusRef.parent()).then(function (value) {
+        expect(value).to.eql({ status: 'away', typing: false });
+      });
+    });
+  });
+
+  describe('remove', function () {
+    beforeEach(function () {
+      return Firebase.onDisconnect(statusRef).remove().then(disconnect);
+    });
+
+    it('removes the value when the client disconnects', function () {
+      return Firebase.get(statusRef).then(function (value) {
+        expect(value).to.equal(null);
+      });
+    });
+  });
+
+  describe('cancel', function () {
+    beforeEach(function () {
+      var onDisconnect = Firebase.onDisconnect(statusRef);
+
+      return onDisconnect.remove().then(function () {
+        return onDisconnect.cancel();
+      }).then(disconnect);
+    });
+
+    it('cancels the queued writes', function () {
+      return Firebase.get(statusRef).then(function (value) {
+        expect(value).to.equal('online');
+      });
+    });
+  });
+
+  describe('when writing is forbidden', function () {
+    var error;
+    beforeEach(function () {
+      Firebase.denyAccess(statusRef, 'write');
+
+      return Firebase.onDisconnect(statusRef).remove().then(null, function (e) {
+        error = e;
+      });
+    });
+
+    afterEach(function () {
+      Firebase.grantAccess(statusRef);
+    });
+
+    it('rejects', function () {
+      expect(error).to.be.instanceof(Error);
+    });
+  });
+
+});
+
+describe('Firebase.transaction', function () {
+
+  var countRef;
+  beforeEach(function () {
+    countRef = BASE_REF.child('count');
+    return Firebase.set(countRef, 1);
+  });
+
+  describe('when committed', function () {
+    var result;
+    beforeEach(function () {
+      return Firebase.transaction(countRef, function (value) {
+        return value + 1;
+      }).then(function (value) {
+        result = value;
+      });
+    });
+
+    it('resolves with the new value', function () {
+      expect(result.committed).to.equal(true);
+      expect(result.value).to.equal(2);
+      expect(result.snapshot.val()).to.equal(2);
+    });
+  });
+
+  describe('when aborted', function () {
+    var result;
+    beforeEach(function () {
+      return Firebase.transaction(countRef, function () {}).then(function (value) {
+        result = value;
+      });
+    });
+
+    it('resolves with the current value', function () {
+      expect(result.committed).to.equal(false);
+      expect(result.value).to.equal(1);
+    });
+  });
+
+  // A ref whose transactions call the update callback the given number
+  // of times, then complete with its last value. When a delay is given,
+  // the retries and the completion happen after that many milliseconds.
+  function createFakeRef(callCount, delay) {
+    return {
+      transaction: function (updateCallback, onComplete, applyLocally) {
+        this.applyLocally = applyLocally;
+
+        var value = updateCallback(0);
+
+        function complete() {
+          for (var i = 1; i < callCount; ++i) {
+            value = updateCallback(i);
+          }
+
+          onComplete(null, value !== undefined, { val: function () { return value; } });
+        }
+
+        if (delay == null) {
+          complete();
+        } else {
+          setTimeout(complete, delay);
+        }
+      },
+      toString: function () {
+        return 'https://fake.firebaseio.com/count';
+      }
+    };
+  }
+
+  it('applies intermediate values locally by default', function () {
+    var ref = createFakeRef(1);
+
+    return Firebase.transaction(ref, function (value) {
+      return value;
+    }).then(function () {
+      expect(ref.applyLocally).to.equal(true);
+    });
+  });
+
+  it('can hide intermediate values from local events', function () {
+    var ref = createFakeRef(1);
+
+    return Firebase.transaction(ref, function (value) {
+      return value;
+    }, { applyLocally: false }).then(function () {
+      expect(ref.applyLocally).to.equal(false);
+    });
+  });
+
+  describe('when retried too many times', function () {
+    var callCount, error;
+    beforeEach(function () {
+      callCount = 0;
+
+      return Firebase.transaction(createFakeRef(4), function (value) {
+        callCount += 1;
+        return value;
+      }, { maxRetries: 2 }).then(null, function (e) {
+        error = e;
+      });
+    });
+
+    it('stops calling the update callback', function () {
+      expect(callCount).to.equal(3);
+    });
+
+    it('rejects with a Firebase.TransactionAbortedError', function () {
+      expect(error).to.be.instanceof(Firebase.TransactionAbortedError);
+      expect(error.path).to.equal('https://fake.firebaseio.com/count');
+      expect(error.message).to.match(/retried more than 2 times/);
+    });
+  });
+
+  describe('when it takes too long', function () {
+    var callCount, error;
+    beforeEach(function () {
+      callCount = 0;
+
+      return Firebase.transaction(createFakeRef(2, 20), function (value) {
+        callCount += 1;
+        return value;
+      }, { timeout: 10 }).then(null, function (e) {
+        error = e;
+
+        // Wait for the retry.
+        return new Ember.RSVP.Promise(function (resolve) {
+          setTimeout(resolve, 20);
+        });
+      });
+    });
+
+    it('rejects with a Firebase.TransactionAbortedError', function () {
+      expect(error).to.be.instanceof(Firebase.TransactionAbortedError);
+      expect(error.message).to.match(/did not complete within 10ms/);
+    });
+
+    it('stops calling the update callback', function () {
+      expect(callCount).to.equal(1);
+    });
+  });
+
+  describe('when it never completes', function () {
+    var error;
+    beforeEach(function () {
+      var ref = {
+        transaction: Ember.K,
+        toString: function () {
+          return 'https://fake.firebaseio.com/count';
+        }
+      };
+
+      return Firebase.transaction(ref, function (value) {
+        return value;
+      }, { timeout: 10 }).then(null, function (e) {
+        error = e;
+      });
+    });
+
+    it('rejects with a Firebase.TransactionAbortedError', function () {
+      expect(error).to.be.instanceof(Firebase.TransactionAbortedError);
+      expect(error.path).to.equal('https://fake.firebaseio.com/count');
+    });
+  });
+
+  describe('when it is committed after the timeout', function () {
+    var error;
+    beforeEach(function () {
+      return Firebase.transaction(createFakeRef(1, 20), function () {
+        return 'committed';
+      }, { timeout: 10 }).then(null, function (e) {
+        error = e;
+      });
+    });
+
+    it('rejects even though the value was committed', function () {
+      expect(error).to.be.instanceof(Firebase.TransactionAbortedError);
+    });
+  });
+
+});
+
 describe('Firebase.child', function () {
 
   var child, childString;
@@ -158,3 +609,45 @@ describe('Firebase.child', function () {
     });
   });
 });
+
+describe('Firebase.Transforms', function () {
+  it('converts dates to timestamps', function () {
+    var transform = Firebase.Transforms.lookup('date');
+    expect(transform.write(new Date(1234))).to.equal(1234);
+    expect(transform.read(1234).getTime()).to.equal(1234);
+    expect(transform.read(null)).to.equal(null);
+  });
+
+  it('converts booleans and keeps null', function () {
+    var transform = Firebase.Transforms.lookup('boolean');
+    expect(transform.write(1)).to.equal(true);
+    expect(transform.read(0)).to.equal(false);
+    expect(transform.write(null)).to.equal(null);
+    expect(transform.read(null)).to.equal(null);
+  });
+
+  it('converts objects that Firebase returns as arrays', function () {
+    var transform = Firebase.Transforms.lookup('object');
+    expect(transform.read([ 'a', undefined, 'c' ])).to.eql({ 0: 'a', 2: 'c' });
+  });
+
+  describe('when a transform is registered', function () {
+    var transform;
+    beforeEach(function () {
+      Firebase.Transforms.register('upper', transform = {
+        read: function (value) { return value.toUpperCase(); },
+        write: function (value) { return value.toLowerCase(); }
+      });
+    });
+
+    it('can be looked up', function () {
+      expect(Firebase.Transforms.lookup('upper')).to.equal(transform);
+    });
+  });
+
+  it('throws when looking up an unknown transform', function () {
+    expect(function () {
+      Firebase.Transforms.lookup('unknown');
+    }).to.throw(Error);
+  });
+});
@@ -0,0 +1,285 @@
+// Returns a container with the same registrations
+// as an application that uses Ember Data.
+function createContainer() {
+  var container = new Ember.Container();
+  var application = { register: Ember.$.proxy(container.register, container) };
+
+  container.register('store:main', DS.Store);
+  container.register('serializer:_default', DS.JSONSerializer);
+  container.register('transform:boolean', DS.BooleanTransform);
+  container.register('transform:date', DS.DateTransform);
+  container.register('transform:number', DS.NumberTransform);
+  container.register('transform:string', DS.StringTransform);
+
+  Ember.Application.initializers.firebaseSerializer.initialize(container, application);
+
+  return container;
+}
+
+describe('DS.FirebaseAdapter', function () {
+
+  var Post = DS.Model.extend({
+    title: DS.attr('string'),
+    author: DS.belongsTo('user'),
+    comments: DS.hasMany('comment', { async: true })
+  });
+
+  var Comment = DS.Model.extend({
+    body: DS.attr('string')
+  });
+
+  var User = DS.Model.extend({
+    name: DS.attr('string')
+  });
+
+  var container, store, adapter;
+  beforeEach(function () {
+    container = createContainer();
+    container.register('adapter:application', DS.FirebaseAdapter.extend({ firebase: BASE_REF }));
+    container.register('model:post', Post);
+    container.register('model:comment', Comment);
+    container.register('model:user', User);
+
+    store = container.lookup('store:main');
+    adapter = container.lookup('adapter:application');
+
+    return Firebase.set(BASE_REF, {
+      posts: {
+        hello: { title: 'Hello', author: 'mj', comments: { first: true, second: true } },
+        world: { title: 'World' }
+      },
+      comments: {
+        first: { body: 'Nice' },
+        second: { body: 'Thanks' }
+      },
+      users: {
+        mj: { name: 'Michael' }
+      }
+    });
+  });
+
+  afterEach(function () {
+    Ember.run(container, 'destroy');
+  });
+
+  it('has the correct string representation', function () {
+    expect(adapter + '').to.equal('DS.FirebaseAdapter');
+  });
+
+  it('stores each type at a location named after it', function () {
+    expect(adapter.pathForType({ typeKey: 'blogPost' })).to.equal('blogPosts');
+    expect(adapter.refForType(store.modelFor('post'), 'hello').toString()).to.equal(BASE_REF.child('posts/hello').toString());
+  });
+
+  describe('find', function () {
+    var post;
+    beforeEach(function () {
+      return store.find('post', 'hello').then(function (record) {
+        post = record;
+      });
+    });
+
+    it('loads the record', function () {
+      expect(post.get('id')).to.equal('hello');
+      expect(post.get('title')).to.equal('Hello');
+    });
+
+    it('loads a belongsTo relationship from its id', function () {
+      expect(post.get('author.id')).to.equal('mj');
+    });
+
+    it('loads a hasMany relationship from its index', function () {
+      return post.get('comments').then(function (comments) {
+        expect(comments.mapBy('id')).to.eql([ 'first', 'second' ]);
+        expect(comments.mapBy('body')).to.eql([ 'Nice', 'Thanks' ]);
+      });
+    });
+
+    describe('when the record changes', function () {
+      beforeEach(function () {
+        return Firebase.set(BASE_REF.child('posts/hello/title'), 'Goodbye');
+      });
+
+      it('pushes the change into the store', function () {
+        expect(post.get('title')).to.equal('Goodbye');
+      });
+    });
+
+    describe('when the record has unsaved changes', function () {
+      beforeEach(function () {
+        post.set('title', 'Draft');
+        return Firebase.set(BASE_REF.child('posts/hello/title'), 'Goodbye');
+      });
+
+      it('keeps them', function () {
+        expect(post.get('title')).to.equal('Draft');
+      });
+    });
+
+    describe('when the record is removed', function () {
+      beforeEach(function () {
+        return Firebase.remove(BASE_REF.child('posts/hello'));
+      });
+
+      it('unloads it from the store', function () {
+        expect(store.hasRecordForId('post', 'hello')).to.equal(false);
+      });
+    });
+  });
+
+  describe('find with an id that does not exist', function () {
+    var error;
+    beforeEach(function () {
+      return store.find('post', 'missing').then(null, function (e) {
+        error = e;
+      });
+    });
+
+    it('rejects', function () {
+      expect(error.message).to.match(/Cannot find/);
+    });
+  });
+
+  describe('findAll', function () {
+    var posts;
+    beforeEach(function () {
+      return store.find('post').then(function (records) {
+        posts = records;
+      });
+    });
+
+    it('loads all records of the type', function () {
+      expect(posts.mapBy('id')).to.eql([ 'hello', 'world' ]);
+    });
+
+    describe('when a record is added', function () {
+      beforeEach(function () {
+        return Firebase.set(BASE_REF.child('posts/new'), { title: 'New' });
+      });
+
+      it('pushes it into the store', function () {
+        expect(store.getById('post', 'new').get('title')).to.equal('New');
+        expect(posts.get('length')).to.equal(3);
+      });
+    });
+
+    describe('when a record is removed', function () {
+      beforeEach(function () {
+        return Firebase.remove(BASE_REF.child('posts/world'));
+      });
+
+      it('unloads it from the store', function () {
+        expect(store.hasRecordForId('post', 'world')).to.equal(false);
+      });
+    });
+  });
+
+  describe('findQuery', function () {
+    var posts;
+    beforeEach(function () {
+      return store.find('post', { limit: 1 }).then(function (records) {
+        posts = records;
+      });
+    });
+
+    it('loads the records that match the query', function () {
+      expect(posts.mapBy('id')).to.eql([ 'world' ]);
+    });
+  });
+
+  describe('createRecord', function () {
+    var post;
+    beforeEach(function () {
+      post = store.createRecord('post', { title: 'New' });
+
+      return Ember.RSVP.all([ store.find('comment', 'first'), post.get('comments') ]).then(function (values) {
+        values[1].pushObject(values[0]);
+        return post.save();
+      });
+    });
+
+    it('gives the record the name of a new child as its id', function () {
+      expect(post.get('id')).to.have.length(20);
+    });
+
+    it('saves the record', function () {
+      return Firebase.get(adapter.refForType(store.modelFor('post'), post.get('id'))).then(function (value) {
+        expect(value).to.eql({ title: 'New', comments: { first: true } });
+      });
+    });
+
+    it('is not dirty', function () {
+      expect(post.get('isDirty')).to.equal(false);
+    });
+  });
+
+  describe('updateRecord', function () {
+    beforeEach(function () {
+      return Firebase.set(BASE_REF.child('posts/hello/views'), 5).then(function () {
+        return store.find('post', 'hello');
+      }).then(function (post) {
+        post.set('title', 'Goodbye');
+        return post.save();
+      });
+    });
+
+    it('updates the record', function () {
+      return Firebase.get(BASE_REF.child('posts/hello')).then(function (value) {
+        expect(value.title).to.equal('Goodbye');
+        expect(value.comments).to.eql({ first: true, second: true });
+      });
+    });
+
+    it('keeps values that are not part of the model', function () {
+      return Firebase.get(BASE_REF.child('posts/hello/views')).then(function (value) {
+        expect(value).to.equal(5);
+      });
+    });
+  });
+
+  describe('deleteRecord', function () {
+    beforeEach(function () {
+      return store.find('post', 'hello').then(function (post) {
+        return post.destroyRecord();
+      });
+    });
+
+    it('removes the record', function () {
+      return Firebase.get(BASE_REF.child('posts/hello')).then(function (value) {
+        expect(value).to.equal(null);
+      });
+    });
+  });
+
+});
+
+describe('DS.FirebaseSerializer', function () {
+
+  var Note = DS.Model.extend({
+    text: DS.attr('string')
+  });
+
+  var container, store, serializer;
+  beforeEach(function () {
+    container = createContainer();
+    container.register('model:note', Note);
+
+    store = container.lookup('store:main');
+    serializer = container.lookup('serializer:_firebase');
+  });
+
+  afterEach(function () {
+    Ember.run(container, 'destroy');
+  });
+
+  it('is the default serializer of DS.FirebaseAdapter', function () {
+    expect(serializer).to.be.instanceof(DS.FirebaseSerializer);
+    expect(DS.FirebaseAdapter.proto().defaultSerializer).to.equal('_firebase');
+  });
+
+  it('stores attributes without a value as null', function () {
+    var note = Ember.run(store, 'createRecord', 'note', {});
+    expect(serializer.serialize(note)).to.eql({ text: null });
+  });
+
+});
@@ -4,6 +4,73 @@ describe('Firebase.Hash', function () {
   });
 });
 
+describe('Firebase.Hash.find', function () {
+
+  var User = Firebase.Hash.extend();
+
+  var ref, user;
+  beforeEach(function () {
+    ref = BASE_REF.child('users/mj');
+    user = User.find(ref);
+  });
+
+  afterEach(function () {
+    Ember.run(user, 'destroy');
+  });
+
+  it('returns an instance of the class for the ref', function () {
+    expect(user).to.be.instanceof(User);
+    expect(user.get('baseUrl')).to.equal(ref.toString());
+  });
+
+  it('returns the same instance for the same location', function () {
+    expect(User.find(BASE_REF.child('users/mj'))).to.equal(user);
+  });
+
+  it('returns a different instance for another class', function () {
+    expect(Firebase.Hash.find(ref)).not.to.equal(user);
+  });
+
+  it('cannot find a query', function () {
+    expect(function () {
+      User.find(BASE_REF.limit(1));
+    }).to.throw(Error);
+  });
+
+  describe('when found twice and released once', function () {
+    beforeEach(function () {
+      User.find(ref);
+
+      Ember.run(function () {
+        user.release();
+      });
+    });
+
+    it('is not destroyed', function () {
+      expect(user.get('isDestroyed')).to.equal(false);
+    });
+
+    describe('and released again', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          user.release();
+        });
+      });
+
+      it('is destroyed', function () {
+        expect(user.get('isDestroyed')).to.equal(true);
+      });
+
+      it('is no longer found', function () {
+        var newUser = User.find(ref);
+        expect(newUser).not.to.equal(user);
+        Ember.run(newUser, 'destroy');
+      });
+    });
+  });
+
+});
+
 describe('A Firebase.Hash', function () {
 
   var hash;
@@ -11,6 +78,10 @@ describe('A Firebase.Hash', function () {
     hash = Firebase.Hash.create({ ref: BASE_REF });
   });
 
+  afterEach(function () {
+    Ember.run(hash, 'destroy');
+  });
+
   it('has the correct string representation', function () {
     expect(hash + '').to.include('Firebase.Hash');
     expect(hash + '').to.include(hash.get('baseUrl'));
@@ -27,6 +98,134 @@ describe('A Firebase.Hash', function () {
     });
   });
 
+  describe('when created', function () {
+    var isLoaded;
+    beforeEach(function () {
+      BASE_REF.off();
+      hash = Firebase.Hash.create({ ref: BASE_REF });
+      isLoaded = hash.get('isLoaded');
+    });
+
+    it('is not loaded', function () {
+      expect(isLoaded).to.equal(false);
+    });
+  });
+
+  describe('when ready', function () {
+    var result;
+    beforeEach(function () {
+      return hash.ready().then(function (value) {
+        result = value;
+      });
+    });
+
+    it('is loaded', function () {
+      expect(hash.get('isLoaded')).to.equal(true);
+    });
+
+    it('resolves to the hash', function () {
+      expect(result).to.equal(hash);
+    });
+  });
+
+  describe('when the ref changes', function () {
+    var isLoaded;
+    beforeEach(function () {
+      return Firebase.set(BASE_REF, { a: { key: 'a' }, b: { key: 'b' } }).then(function () {
+        hash.set('ref', BASE_REF.child('a'));
+        return hash.ready();
+      }).then(function () {
+        hash.set('ref', BASE_REF.child('b'));
+        isLoaded = hash.get('isLoaded');
+      });
+    });
+
+    it('is not loaded', function () {
+      expect(isLoaded).to.equal(false);
+    });
+
+    describe('and the new ref data is received', function () {
+      beforeEach(function () {
+        return hash.ready();
+      });
+
+      it('is loaded', function () {
+        expect(hash.get('isLoaded')).to.equal(true);
+      });
+
+      it('gets values from the new ref', function () {
+        expect(hash.get('key')).to.equal('b');
+      });
+    });
+  });
+
+  describe('when reading is forbidden', function () {
+    var errors, readyError;
+    beforeEach(function () {
+      errors = [];
+      Firebase.denyAccess(BASE_REF.child('secret'));
+
+      hash = Firebase.Hash.create({ ref: BASE_REF.child('secret') });
+      hash.on('didError', function (error) {
+        errors.push(error);
+      });
+
+      return hash.ready().then(null, function (error) {
+        readyError = error;
+      });
+    });
+
+    afterEach(function () {
+      Firebase.grantAccess(BASE_REF.child('secret'));
+    });
+
+    it('is forbidden', function () {
+      expect(hash.get('isForbidden')).to.equal(true);
+    });
+
+    it('reports the error once', function () {
+      expect(errors.length).to.equal(1);
+      expect(errors[0]).to.be.instanceof(Firebase.OperationError);
+      expect(errors[0].operation).to.equal('listen');
+      expect(errors[0].path).to.equal(hash.get('baseUrl'));
+      expect(errors[0].isForbidden).to.equal(true);
+      expect(hash.get('error')).to.equal(errors[0]);
+    });
+
+    it('rejects the ready promise', function () {
+      expect(readyError).to.equal(errors[0]);
+    });
+  });
+
+  describe('when writing a property is forbidden', function () {
+    var error;
+    beforeEach(function (done) {
+      Firebase.denyAccess(BASE_REF.child('secret'), 'write');
+
+      hash.one('didError', function (e) {
+        error = e;
+        done();
+      });
+
+      hash.set('secret', 'value');
+    });
+
+    afterEach(function () {
+      Firebase.grantAccess(BASE_REF.child('secret'));
+    });
+
+    it('reports the error', function () {
+      expect(error.operation).to.equal('set');
+      expect(error.path).to.equal(BASE_REF.child('secret').toString());
+      expect(error.cause).to.be.ok;
+      expect(hash.get('error')).to.equal(error);
+    });
+
+    it('is not forbidden', function () {
+      expect(hash.get('isForbidden')).to.equal(false);
+    });
+  });
+
   describe('with no properties', function () {
     it('returns undefined on get', function () {
       expect(hash.get('missingKey')).to.equal(undefined);
@@ -65,6 +264,17 @@ describe('A Firebase.Hash', function () {
     });
   });
 
+  describe('when another hash for the same location is destroyed', function () {
+    beforeEach(function () {
+      Ember.run(Firebase.Hash.create({ ref: BASE_REF }), 'destroy');
+      return Firebase.set(BASE_REF, { key: 'value' });
+    });
+
+    it('still gets values', function () {
+      expect(hash.get('key')).to.equal('value');
+    });
+  });
+
   describe('when the ref value is set directly', function () {
     beforeEach(function () {
       return Firebase.set(hash.get('ref'), { key: 'value' });
@@ -96,6 +306,678 @@ describe('A Firebase.Hash', function () {
     });
   });
 
+  describe('in buffered mode', function () {
+    beforeEach(function () {
+      hash = Firebase.Hash.create({ ref: BASE_REF, buffered: true });
+      return Firebase.set(BASE_REF, { key: 'value' });
+    });
+
+    it('is not dirty', function () {
+      expect(hash.get('isDirty')).to.equal(false);
+      expect(hash.get('dirtyProperties')).to.be.empty;
+    });
+
+    describe('when a property is set', function () {
+      beforeEach(function () {
+        hash.set('key', 'newValue');
+      });
+
+      it('gets the new value', function () {
+        expect(hash.get('key')).to.equal('newValue');
+      });
+
+      it('is dirty', function () {
+        expect(hash.get('isDirty')).to.equal(true);
+        expect(hash.get('dirtyProperties')).to.eql([ 'key' ]);
+      });
+
+      it('does not write the value to the ref', function () {
+        return Firebase.get(BASE_REF.child('key')).then(function (value) {
+          expect(value).to.equal('value');
+        });
+      });
+
+      describe('and then saved', function () {
+        beforeEach(function () {
+          return hash.save();
+        });
+
+        it('is not dirty', function () {
+          expect(hash.get('isDirty')).to.equal(false);
+        });
+
+        it('writes the value to the ref', function () {
+          return Firebase.get(BASE_REF.child('key')).then(function (value) {
+            expect(value).to.equal('newValue');
+          });
+        });
+      });
+
+      describe('and set again while saving', function () {
+        beforeEach(function () {
+          var promise = hash.save();
+          hash.set('key', 'anotherValue');
+          return promise;
+        });
+
+        it('is still dirty', function () {
+          expect(hash.get('dirtyProperties')).to.eql([ 'key' ]);
+          expect(hash.get('key')).to.equal('anotherValue');
+        });
+      });
+
+      describe('and saving is forbidden', function () {
+        var error, reportedError;
+        beforeEach(function () {
+          Firebase.denyAccess(BASE_REF, 'write');
+
+          hash.one('didError', function (e) {
+            reportedError = e;
+          });
+
+          return hash.save().then(null, function (e) {
+            error = e;
+          });
+        });
+
+        afterEach(function () {
+          Firebase.grantAccess(BASE_REF);
+        });
+
+        it('rejects', function () {
+          expect(error).to.be.instanceof(Error);
+        });
+
+        it('reports the error', function () {
+          expect(reportedError.operation).to.equal('update');
+          expect(reportedError.path).to.equal(BASE_REF.toString());
+          expect(hash.get('error')).to.equal(reportedError);
+        });
+
+        it('keeps the unsaved value', function () {
+          expect(hash.get('isDirty')).to.equal(true);
+          expect(hash.get('key')).to.equal('newValue');
+        });
+      });
+
+      describe('and the ref changes', function () {
+        beforeEach(function () {
+          hash.set('ref', BASE_REF.child('other'));
+        });
+
+        it('discards the unsaved value', function () {
+          expect(hash.get('isDirty')).to.equal(false);
+        });
+
+        it('does not save it to the new location', function () {
+          return hash.save().then(function () {
+            return Firebase.get(BASE_REF.child('other'));
+          }).then(function (value) {
+            expect(value).to.equal(null);
+          });
+        });
+      });
+
+      describe('and the ref value changes', function () {
+        beforeEach(function () {
+          return Firebase.set(BASE_REF.child('key'), 'remoteValue');
+        });
+
+        it('gets the new value', function () {
+          expect(hash.get('key')).to.equal('newValue');
+        });
+
+        describe('and then rolled back', function () {
+          beforeEach(function () {
+            hash.rollback();
+          });
+
+          it('is not dirty', function () {
+            expect(hash.get('isDirty')).to.equal(false);
+          });
+
+          it('gets the value from the ref', function () {
+            expect(hash.get('key')).to.equal('remoteValue');
+          });
+        });
+      });
+    });
+  });
+
+  describe('with nested hashes', function () {
+    var NestedHash, nestedHash;
+    beforeEach(function () {
+      NestedHash = Firebase.Hash.extend({
+        createValueFromSnapshot: function (snapshot) {
+          if (snapshot.hasChildren()) {
+            return NestedHash.create({ ref: snapshot.ref() });
+          }
+
+          return this._super(snapshot);
+        }
+      });
+
+      hash = NestedHash.create({ ref: BASE_REF });
+
+      return Firebase.set(BASE_REF, { nested: { key: 'value' } }).then(function () {
+        nestedHash = hash.get('nested');
+      });
+    });
+
+    it('creates a nested hash', function () {
+      expect(nestedHash).to.be.instanceof(NestedHash);
+      expect(nestedHash.get('key')).to.equal('value');
+    });
+
+    describe('when the nested value changes', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          Firebase.set(BASE_REF.child('nested/key'), 'anotherValue');
+        });
+      });
+
+      it('destroys the replaced hash', function () {
+        expect(hash.get('nested')).not.to.equal(nestedHash);
+        expect(nestedHash.get('isDestroyed')).to.equal(true);
+      });
+    });
+
+    describe('when the nested value is removed', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          Firebase.remove(BASE_REF.child('nested'));
+        });
+      });
+
+      it('destroys the nested hash', function () {
+        expect(nestedHash.get('isDestroyed')).to.equal(true);
+      });
+    });
+
+    describe('when the ref changes', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          hash.set('ref', BASE_REF.child('other'));
+        });
+      });
+
+      it('destroys the nested hash', function () {
+        expect(nestedHash.get('isDestroyed')).to.equal(true);
+      });
+    });
+
+    describe('when destroyed', function () {
+      beforeEach(function () {
+        Ember.run(hash, 'destroy');
+      });
+
+      it('destroys the nested hash', function () {
+        expect(nestedHash.get('isDestroyed')).to.equal(true);
+      });
+    });
+  });
+
+  describe('with a boolean property', function () {
+    beforeEach(function () {
+      hash = Firebase.Hash.extend({
+        types: { flag: 'boolean' }
+      }).create({ ref: BASE_REF });
+
+      hash.set('flag', true);
+    });
+
+    it('reads a missing value as null in a transaction', function () {
+      var value;
+      return Firebase.remove(BASE_REF.child('flag')).then(function () {
+        return hash.transactProperty('flag', function (v) {
+          value = v;
+          return true;
+        });
+      }).then(function () {
+        expect(value).to.equal(null);
+      });
+    });
+
+    describe('when it is cleared', function () {
+      beforeEach(function () {
+        hash.set('flag', null);
+      });
+
+      it('removes the value', function () {
+        return Firebase.get(BASE_REF.child('flag')).then(function (value) {
+          expect(value).to.equal(null);
+        });
+      });
+
+      it('no longer has a value', function () {
+        expect(hash.get('flag')).to.equal(undefined);
+      });
+    });
+  });
+
+  describe('with property types', function () {
+    var date;
+    beforeEach(function () {
+      var Post = Firebase.Hash.extend({
+        types: { createdAt: 'date' }
+      });
+
+      hash = Post.extend({
+        types: { likes: 'number' }
+      }).create({ ref: BASE_REF });
+
+      hash.set('createdAt', date = new Date(1234));
+      hash.set('likes', '5');
+      hash.set('title', 'Hello');
+    });
+
+    it('writes the transformed values', function () {
+      return Firebase.get(BASE_REF).then(function (value) {
+        expect(value).to.eql({ createdAt: 1234, likes: 5, title: 'Hello' });
+      });
+    });
+
+    it('reads the transformed values', function () {
+      expect(hash.get('createdAt')).to.be.instanceof(Date);
+      expect(hash.get('createdAt').getTime()).to.equal(date.getTime());
+      expect(hash.get('likes')).to.equal(5);
+      expect(hash.get('title')).to.equal('Hello');
+    });
+
+    it('uses the transformed values in its JSON', function () {
+      expect(hash.toJSON()).to.eql({ createdAt: 1234, likes: 5, title: 'Hello' });
+    });
+
+    describe('when a value changes', function () {
+      beforeEach(function () {
+        return Firebase.set(BASE_REF.child('createdAt'), 5678);
+      });
+
+      it('reads the transformed value', function () {
+        expect(hash.get('createdAt').getTime()).to.equal(5678);
+      });
+    });
+  });
+
+  describe('with timestamps', function () {
+    var startTime;
+    beforeEach(function () {
+      startTime = new Date().getTime();
+
+      hash = Firebase.Hash.extend({
+        types: { updatedAt: 'date' },
+        validations: { updatedAt: { type: 'date' } }
+      }).create({ ref: BASE_REF, timestamps: true });
+    });
+
+    describe('when a property is set', function () {
+      beforeEach(function () {
+        hash.set('title', 'Hello');
+      });
+
+      it('writes the server time along with it', function () {
+        return Firebase.get(BASE_REF).then(function (value) {
+          expect(value.title).to.equal('Hello');
+          expect(value.updatedAt).to.be.at.least(startTime);
+        });
+      });
+
+      it('reads the transformed time', function () {
+        expect(hash.get('updatedAt')).to.be.instanceof(Date);
+      });
+    });
+
+    describe('when the time is set directly', function () {
+      beforeEach(function () {
+        hash.set('updatedAt', Firebase.SERVER_TIMESTAMP);
+      });
+
+      it('skips transforms and validations', function () {
+        expect(hash.get('isValid')).to.equal(true);
+
+        return Firebase.get(BASE_REF.child('updatedAt')).then(function (value) {
+          expect(value).to.be.at.least(startTime);
+        });
+      });
+    });
+
+    describe('when saved in buffered mode', function () {
+      beforeEach(function () {
+        hash.set('buffered', true);
+        hash.set('title', 'Hello');
+
+        return hash.save();
+      });
+
+      it('writes the server time along with the changes', function () {
+        return Firebase.get(BASE_REF).then(function (value) {
+          expect(value.title).to.equal('Hello');
+          expect(value.updatedAt).to.be.at.least(startTime);
+        });
+      });
+    });
+  });
+
+  describe('with validations', function () {
+    var User;
+    beforeEach(function () {
+      User = Firebase.Hash.extend({
+        validations: {
+          name: { required: true, type: 'string', max: 5 },
+          age: { min: 0 },
+          email: {
+            pattern: /@/,
+            validate: function (value) {
+              if (value === 'taken@example.com') return 'is taken';
+            }
+          }
+        }
+      });
+
+      hash = User.create({ ref: BASE_REF });
+    });
+
+    it('is valid', function () {
+      expect(hash.get('isValid')).to.equal(true);
+    });
+
+    describe('when an invalid value is set', function () {
+      beforeEach(function () {
+        hash.set('name', 'Michael');
+      });
+
+      it('is not valid', function () {
+        expect(hash.get('isValid')).to.equal(false);
+        expect(hash.get('errors.name')).to.eql([ 'must be at most 5 in length' ]);
+      });
+
+      it('does not write the value', function () {
+        return Firebase.get(BASE_REF.child('name')).then(function (value) {
+          expect(value).to.equal(null);
+        });
+      });
+
+      describe('and then a valid value', function () {
+        beforeEach(function () {
+          hash.set('name', 'MJ');
+        });
+
+        it('is valid', function () {
+          expect(hash.get('isValid')).to.equal(true);
+          expect(hash.get('name')).to.equal('MJ');
+        });
+      });
+    });
+
+    it('checks each kind of rule', function () {
+      hash.set('name', 5);
+      hash.set('age', -1);
+      hash.set('email', 'nobody');
+
+      expect(hash.get('errors')).to.eql({
+        name: [ 'must be a string' ],
+        age: [ 'must be at least 0' ],
+        email: [ 'is invalid' ]
+      });
+
+      hash.set('email', 'taken@example.com');
+      expect(hash.get('errors.email')).to.eql([ 'is taken' ]);
+    });
+
+    describe('when saved in buffered mode', function () {
+      var error;
+      beforeEach(function () {
+        hash = User.create({ ref: BASE_REF, buffered: true });
+        hash.set('age', -1);
+
+        return hash.save().then(null, function (e) {
+          error = e;
+        });
+      });
+
+      it('rejects with the errors', function () {
+        expect(error).to.be.instanceof(Firebase.ValidationError);
+        expect(error.errors).to.eql({
+          name: [ 'is required' ],
+          age: [ 'must be at least 0' ]
+        });
+      });
+
+      it('keeps the unsaved values', function () {
+        expect(hash.get('dirtyProperties')).to.eql([ 'age' ]);
+      });
+
+      describe('and then rolled back', function () {
+        beforeEach(function () {
+          hash.rollback();
+        });
+
+        it('clears the errors', function () {
+          expect(hash.get('isValid')).to.equal(true);
+        });
+      });
+    });
+  });
+
+  describe('with relationships', function () {
+    var User, Comment, Post, usersRef, commentsRef;
+    beforeEach(function () {
+      User = Firebase.Hash.extend();
+      Comment = Firebase.Hash.extend();
+      Post = Firebase.Hash.extend({
+        author: Firebase.belongsTo('users', User),
+        comments: Firebase.hasMany('comments', Comment)
+      });
+
+      usersRef = BASE_REF.child('users');
+      commentsRef = BASE_REF.child('comments');
+
+      Firebase.set(usersRef.child('mj'), { name: 'Michael' });
+      Firebase.set(usersRef.child('ej'), { name: 'Emily' });
+      Firebase.set(commentsRef, { a: { text: 'First' }, b: { text: 'Second' } });
+
+      hash = Post.create({ ref: BASE_REF.child('posts/1') });
+    });
+
+    it('has no author', function () {
+      expect(hash.get('author')).to.equal(null);
+    });
+
+    describe('when the author is set', function () {
+      var author;
+      beforeEach(function () {
+        author = User.create({ ref: usersRef.child('mj') });
+        hash.set('author', author);
+      });
+
+      afterEach(function () {
+        Ember.run(author, 'destroy');
+      });
+
+      it('stores its id', function () {
+        return Firebase.get(hash.childRef('author')).then(function (value) {
+          expect(value).to.equal('mj');
+        });
+      });
+
+      it('returns a live hash for it', function () {
+        expect(hash.get('author')).to.be.instanceof(User);
+        expect(hash.get('author.name')).to.equal('Michael');
+      });
+
+      describe('and the id changes', function () {
+        var previousAuthor;
+        beforeEach(function () {
+          previousAuthor = hash.get('author');
+
+          Ember.run(function () {
+            Firebase.set(hash.childRef('author'), 'ej');
+          });
+        });
+
+        it('returns the new author', function () {
+          expect(hash.get('author.name')).to.equal('Emily');
+        });
+
+        it('destroys the previous one', function () {
+          expect(previousAuthor.get('isDestroyed')).to.equal(true);
+        });
+      });
+
+      describe('and the id is removed', function () {
+        beforeEach(function () {
+          Firebase.remove(hash.childRef('author'));
+        });
+
+        it('has no author', function () {
+          expect(hash.get('author')).to.equal(null);
+        });
+      });
+    });
+
+    describe('when the comments are set', function () {
+      beforeEach(function () {
+        hash.set('comments', [ 'b', Comment.create({ ref: commentsRef.child('a') }) ]);
+      });
+
+      it('stores an index of their ids', function () {
+        return Firebase.get(hash.childRef('comments')).then(function (value) {
+          expect(value).to.eql({ a: true, b: true });
+        });
+      });
+
+      it('returns a live list of them', function () {
+        var comments = hash.get('comments');
+        expect(comments).to.be.instanceof(Firebase.List);
+        expect(comments.mapBy('text')).to.eql([ 'First', 'Second' ]);
+        expect(comments.objectAt(0)).to.be.instanceof(Comment);
+      });
+
+      describe('and a comment is added to the index', function () {
+        var comments;
+        beforeEach(function () {
+          comments = hash.get('comments');
+          Firebase.set(commentsRef.child('c'), { text: 'Third' });
+          Firebase.set(hash.childRef('comments/c'), true);
+        });
+
+        it('uses the same list', function () {
+          expect(hash.get('comments')).to.equal(comments);
+        });
+
+        it('adds it to the list', function () {
+          expect(comments.mapBy('text')).to.eql([ 'First', 'Second', 'Third' ]);
+        });
+      });
+    });
+  });
+
+  describe('incrementProperty', function () {
+    var value, result;
+    beforeEach(function () {
+      var promise = hash.incrementProperty('likes');
+      value = hash.get('likes');
+
+      return promise.then(function (r) {
+        result = r;
+      });
+    });
+
+    it('shows the new value right away', function () {
+      expect(value).to.equal(1);
+    });
+
+    it('resolves with the committed value', function () {
+      expect(result.committed).to.equal(true);
+      expect(result.value).to.equal(1);
+    });
+
+    describe('when called more than once at the same time', function () {
+      beforeEach(function () {
+        return Ember.RSVP.all([
+          hash.incrementProperty('likes', 2),
+          hash.decrementProperty('likes'),
+          hash.incrementProperty('likes', 3)
+        ]);
+      });
+
+      it('applies every update', function () {
+        return Firebase.get(hash.childRef('likes')).then(function (value) {
+          expect(value).to.equal(5);
+        });
+      });
+    });
+  });
+
+  describe('onDisconnectSet', function () {
+    var result;
+    beforeEach(function () {
+      hash.set('status', 'online');
+
+      return hash.onDisconnectSet('status', 'away').then(function (ref) {
+        result = ref;
+      });
+    });
+
+    afterEach(function () {
+      Firebase.goOnline();
+      return Firebase.onDisconnect(BASE_REF).cancel();
+    });
+
+    it('resolves to the ref of the property', function () {
+      expect(result.toString()).to.equal(hash.childRef('status').toString());
+    });
+
+    it('sets the property when the client disconnects', function () {
+      expect(hash.get('status')).to.equal('online');
+
+      Firebase.goOffline();
+
+      expect(hash.get('status')).to.equal('away');
+    });
+  });
+
+  describe('transactProperty', function () {
+    describe('when the update is aborted', function () {
+      var result;
+      beforeEach(function () {
+        hash.set('seat', 'taken');
+
+        return hash.transactProperty('seat', function (value) {
+          if (value === null) return 'mine';
+        }).then(function (r) {
+          result = r;
+        });
+      });
+
+      it('resolves with the current value', function () {
+        expect(result.committed).to.equal(false);
+        expect(result.value).to.equal('taken');
+      });
+    });
+
+    describe('when writing is forbidden', function () {
+      var error;
+      beforeEach(function () {
+        Firebase.denyAccess(BASE_REF, 'write');
+
+        return hash.transactProperty('count', function (value) {
+          return value + 1;
+        }).then(null, function () {
+          error = hash.get('error');
+        });
+      });
+
+      afterEach(function () {
+        Firebase.grantAccess(BASE_REF);
+      });
+
+      it('reports the error', function () {
+        expect(error.operation).to.equal('transaction');
+      });
+    });
+  });
+
   describe('setWithPriority', function () {
     beforeEach(function () {
       hash.setWithPriority('key', 'value', 5);
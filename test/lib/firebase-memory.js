@@ -0,0 +1,1198 @@
+/**
+ * An in-memory implementation of the subset of the Firebase client API that
+ * ember-firebase uses. Load it in place of firebase.js to run the specs
+ * without a connection to the Firebase servers.
+ *
+ * Data lives in a single tree per Firebase URL host and is shared by every
+ * ref created for that host. Writes are applied immediately and raise local
+ * events synchronously, just like the real client. Reads of locations that
+ * nobody is listening to yet, as well as write completion callbacks, are
+ * delivered after a short simulated round trip to the server.
+ */
+(function (global, undefined) {
+
+  // The number of milliseconds a simulated round trip to the server takes.
+  var LATENCY = 10;
+
+  var PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+  var databases = {};
+
+  function getDatabase(host, path) {
+    var db = databases[host];
+
+    if (!db) {
+      db = databases[host] = new Database();
+      db.info = new Database();
+      db.info.root = setNode(null, [ '.info', 'connected' ], createNode(true));
+    }
+
+    // The .info location holds data about the client itself,
+    // so it isn't stored with the rest of the data.
+    return path[0] === '.info' ? db.info : db;
+  }
+
+  /**
+   * A location reference.
+   *
+   * See https://www.firebase.com/docs/javascript/firebase/index.html
+   */
+  function Firebase(url) {
+    var match = String(url).match(/^(\w+:\/\/[^\/]+)(.*)$/);
+
+    if (!match) {
+      throw new Error('Firebase: Invalid Firebase URL "' + url + '"');
+    }
+
+    this._host = match[1];
+    this._path = splitPath(match[2]);
+    this._db = getDatabase(this._host, this._path);
+  }
+
+  Firebase.prototype = {
+
+    constructor: Firebase,
+
+    _query: null,
+
+    child: function (childPath) {
+      return createRef(this._host, this._path.concat(splitPath(childPath)));
+    },
+
+    parent: function () {
+      return this._path.length ? createRef(this._host, this._path.slice(0, -1)) : null;
+    },
+
+    root: function () {
+      return createRef(this._host, []);
+    },
+
+    name: function () {
+      return this._path.length ? this._path[this._path.length - 1] : null;
+    },
+
+    toString: function () {
+      return this._host + map(this._path, function (name) {
+        return '/' + encodeURIComponent(name);
+      }).join('');
+    },
+
+    set: function (value, onComplete) {
+      this.setWithPriority(value, undefined, onComplete);
+    },
+
+    setWithPriority: function (value, priority, onComplete) {
+      if (value === undefined) {
+        throw new Error('Firebase.set failed: First argument contains undefined');
+      }
+
+      this._db.write([ { path: this._path, node: createNode(value, priority) } ], onComplete);
+    },
+
+    setPriority: function (priority, onComplete) {
+      var node = getNode(this._db.root, this._path);
+
+      if (node) {
+        node = node.children ? { children: node.children, priority: priority } : { value: node.value, priority: priority };
+      }
+
+      this._db.write([ { path: this._path, node: node } ], onComplete);
+    },
+
+    update: function (value, onComplete) {
+      if (!value || typeof value !== 'object') {
+        throw new Error('Firebase.update failed: First argument must be an object');
+      }
+
+      var path = this._path, writes = [];
+
+      for (var childPath in value) {
+        if (value.hasOwnProperty(childPath)) {
+          writes.push({ path: path.concat(splitPath(childPath)), node: createNode(value[childPath]) });
+        }
+      }
+
+      this._db.write(writes, onComplete);
+    },
+
+    remove: function (onComplete) {
+      this.set(null, onComplete);
+    },
+
+    push: function (value, onComplete) {
+      var ref = this.child(generatePushName());
+
+      if (value !== undefined) {
+        ref.set(value, onComplete);
+      }
+
+      return ref;
+    },
+
+    onDisconnect: function () {
+      return new OnDisconnect(this);
+    },
+
+    transaction: function (updateFunction, onComplete, applyLocally) {
+      var db = this._db, path = this._path;
+
+      if (db.isDenied(path, 'write')) {
+        callLater(onComplete, createPermissionError(), false, null);
+        return;
+      }
+
+      var node = getNode(db.root, path);
+      var newValue = updateFunction(getNodeValue(node));
+      var ref = this;
+
+      if (newValue === undefined) {
+        callLater(onComplete, null, false, new DataSnapshot(ref, node));
+        return;
+      }
+
+      var newNode = createNode(newValue, node ? node.priority : null);
+
+      db.write([ { path: path, node: newNode } ], function (error) {
+        if (onComplete) {
+          onComplete(error, !error, new DataSnapshot(ref, getNode(db.root, path)));
+        }
+      });
+    }
+
+  };
+
+  /**
+   * Placeholder values that are replaced by the server when they are written.
+   *
+   * See https://www.firebase.com/docs/javascript/servervalue/index.html
+   */
+  Firebase.ServerValue = {
+    TIMESTAMP: { '.sv': 'timestamp' }
+  };
+
+  /**
+   * Simulates losing the connection to the server. The value at .info/connected
+   * becomes false, and the writes that were queued using onDisconnect are
+   * applied, just like the server would do. This is part of the real client,
+   * but there it only stops the client from talking to the server.
+   */
+  Firebase.goOffline = function () {
+    for (var host in databases) {
+      databases[host].setConnected(false);
+    }
+  };
+
+  /**
+   * Reverses a call to Firebase.goOffline.
+   */
+  Firebase.goOnline = function () {
+    for (var host in databases) {
+      databases[host].setConnected(true);
+    }
+  };
+
+  /**
+   * Writes that the server applies to a location when the client disconnects.
+   *
+   * See https://www.firebase.com/docs/javascript/ondisconnect/index.html
+   */
+  function OnDisconnect(ref) {
+    this._ref = ref;
+  }
+
+  OnDisconnect.prototype = {
+
+    constructor: OnDisconnect,
+
+    set: function (value, onComplete) {
+      this.setWithPriority(value, undefined, onComplete);
+    },
+
+    setWithPriority: function (value, priority, onComplete) {
+      if (value === undefined) {
+        throw new Error('Firebase.onDisconnect().set failed: First argument contains undefined');
+      }
+
+      var path = this._ref._path;
+
+      this._ref._db.addDisconnectWrites(path, [ { path: path, value: value, priority: priority } ], onComplete);
+    },
+
+    update: function (value, onComplete) {
+      if (!value || typeof value !== 'object') {
+        throw new Error('Firebase.onDisconnect().update failed: First argument must be an object');
+      }
+
+      var path = this._ref._path, writes = [];
+
+      for (var childPath in value) {
+        if (value.hasOwnProperty(childPath)) {
+          writes.push({ path: path.concat(splitPath(childPath)), value: value[childPath] });
+        }
+      }
+
+      this._ref._db.addDisconnectWrites(path, writes, onComplete);
+    },
+
+    remove: function (onComplete) {
+      this.set(null, onComplete);
+    },
+
+    cancel: function (onComplete) {
+      this._ref._db.cancelDisconnectWrites(this._ref._path, onComplete);
+    }
+
+  };
+
+  /**
+   * Makes reads and writes at the given location and its descendants fail
+   * with a permission denied error, as if forbidden by security rules. Pass
+   * "read" or "write" as the second argument to only deny one of them.
+   * Listeners that are already active there are cancelled. This is not
+   * part of the real client and is only useful in tests.
+   */
+  Firebase.denyAccess = function (ref, operation) {
+    ref._db.denyAccess(ref._path, operation);
+  };
+
+  /**
+   * Reverses all calls to Firebase.denyAccess for the given location.
+   */
+  Firebase.grantAccess = function (ref) {
+    ref._db.grantAccess(ref._path);
+  };
+
+  /**
+   * A query on a location reference that limits the children it receives
+   * events for.
+   *
+   * See https://www.firebase.com/docs/javascript/query/index.html
+   */
+  function Query(ref, query) {
+    this._ref = ref;
+    this._host = ref._host;
+    this._path = ref._path;
+    this._db = ref._db;
+    this._query = query;
+  }
+
+  Query.prototype = {
+
+    constructor: Query,
+
+    ref: function () {
+      return this._ref;
+    },
+
+    toString: function () {
+      return this._ref.toString();
+    }
+
+  };
+
+  // Methods that are available on both refs and queries.
+  var queryMethods = {
+
+    on: function (eventType, callback, cancelCallback, context) {
+      if (cancelCallback && typeof cancelCallback !== 'function') {
+        context = cancelCallback;
+        cancelCallback = null;
+      }
+
+      this._db.addListener(this, {
+        eventType: eventType,
+        callback: callback,
+        cancelCallback: cancelCallback,
+        context: context
+      });
+
+      return callback;
+    },
+
+    once: function (eventType, callback, cancelCallback, context) {
+      if (cancelCallback && typeof cancelCallback !== 'function') {
+        context = cancelCallback;
+        cancelCallback = null;
+      }
+
+      this._db.addListener(this, {
+        eventType: eventType,
+        callback: callback,
+        cancelCallback: cancelCallback,
+        context: context,
+        once: true
+      });
+    },
+
+    /**
+     * Removes listeners at this location. Unlike the real client, calling this
+     * on a ref also removes listeners that were added through its queries so
+     * that specs are able to clear every listener between runs.
+     */
+    off: function (eventType, callback, context) {
+      this._db.removeListeners(this, eventType, callback, context);
+    },
+
+    limit: function (limit) {
+      return this._extendQuery({ limit: limit });
+    },
+
+    startAt: function (priority, name) {
+      return this._extendQuery({ startAt: { priority: priority === undefined ? null : priority, name: name } });
+    },
+
+    endAt: function (priority, name) {
+      return this._extendQuery({ endAt: { priority: priority === undefined ? null : priority, name: name } });
+    },
+
+    _extendQuery: function (properties) {
+      var query = {}, key;
+
+      for (key in this._query) {
+        query[key] = this._query[key];
+      }
+
+      for (key in properties) {
+        query[key] = properties[key];
+      }
+
+      return new Query(this._query ? this._ref : this, query);
+    }
+
+  };
+
+  merge(Firebase.prototype, queryMethods);
+  merge(Query.prototype, queryMethods);
+
+  /**
+   * An immutable copy of the data at a location.
+   *
+   * See https://www.firebase.com/docs/javascript/datasnapshot/index.html
+   */
+  function DataSnapshot(ref, node) {
+    this._ref = ref;
+    this._node = node || null;
+  }
+
+  DataSnapshot.prototype = {
+
+    constructor: DataSnapshot,
+
+    val: function () {
+      return getNodeValue(this._node);
+    },
+
+    exportVal: function () {
+      return exportNode(this._node);
+    },
+
+    name: function () {
+      return this._ref.name();
+    },
+
+    ref: function () {
+      return this._ref;
+    },
+
+    getPriority: function () {
+      return this._node ? this._node.priority : null;
+    },
+
+    child: function (childPath) {
+      return new DataSnapshot(this._ref.child(childPath), getNode(this._node, splitPath(childPath)));
+    },
+
+    hasChild: function (childPath) {
+      return getNode(this._node, splitPath(childPath)) !== null;
+    },
+
+    hasChildren: function () {
+      return Boolean(this._node && this._node.children);
+    },
+
+    numChildren: function () {
+      return getSortedNames(this._node).length;
+    },
+
+    forEach: function (callback) {
+      var names = getSortedNames(this._node);
+
+      for (var i = 0, len = names.length; i < len; ++i) {
+        if (callback(this.child(names[i])) === true) {
+          return true;
+        }
+      }
+
+      return false;
+    }
+
+  };
+
+  /**
+   * The data and listeners for a single Firebase host.
+   */
+  function Database() {
+    this.root = null;
+    this.views = [];
+    this.queue = [];
+    this.denials = [];
+    this.disconnectWrites = [];
+    this.isConnected = true;
+  }
+
+  Database.prototype = {
+
+    isDenied: function (path, operation) {
+      var denials = this.denials;
+
+      for (var i = 0, len = denials.length; i < len; ++i) {
+        var denial = denials[i];
+
+        if ((!denial.operation || denial.operation === operation) && isPathPrefix(denial.path, path)) {
+          return true;
+        }
+      }
+
+      return false;
+    },
+
+    denyAccess: function (path, operation) {
+      this.denials.push({ path: path, operation: operation });
+
+      if (operation === 'write') return;
+
+      forEach(this.views.slice(0), function (view) {
+        if (isPathPrefix(path, view.path)) {
+          forEach(view.listeners.slice(0), this.cancelListenerLater, this);
+        }
+      }, this);
+    },
+
+    grantAccess: function (path) {
+      this.denials = filter(this.denials, function (denial) {
+        return !pathsEqual(denial.path, path);
+      });
+    },
+
+    addDisconnectWrites: function (path, writes, onComplete) {
+      if (this.isDenied(path, 'write')) {
+        callLater(onComplete, createPermissionError());
+        return;
+      }
+
+      this.disconnectWrites.push({ path: path, writes: writes });
+
+      callLater(onComplete, null);
+    },
+
+    // Cancels the disconnect writes at the given location and its descendants.
+    cancelDisconnectWrites: function (path, onComplete) {
+      this.disconnectWrites = filter(this.disconnectWrites, function (item) {
+        return !isPathPrefix(path, item.path);
+      });
+
+      callLater(onComplete, null);
+    },
+
+    setConnected: function (isConnected) {
+      if (this.isConnected === isConnected) return;
+
+      this.isConnected = isConnected;
+      this.info.write([ { path: [ '.info', 'connected' ], node: createNode(isConnected) } ]);
+
+      if (isConnected) return;
+
+      var items = this.disconnectWrites;
+      this.disconnectWrites = [];
+
+      forEach(items, function (item) {
+        this.write(map(item.writes, function (write) {
+          return { path: write.path, node: createNode(write.value, write.priority) };
+        }));
+      }, this);
+    },
+
+    // Removes the given listener right away, but lets it know that it was
+    // cancelled after a round trip to the server.
+    cancelListenerLater: function (listener) {
+      this.removeListener(listener);
+
+      if (listener.cancelCallback) {
+        callLater(function (error) {
+          invoke(listener.cancelCallback, listener.context, [ error ]);
+        }, createPermissionError());
+      }
+    },
+
+    addListener: function (location, listener) {
+      var view = this.getView(location);
+
+      listener.view = view;
+      listener.active = true;
+      listener.loaded = false;
+      view.listeners.push(listener);
+
+      if (this.isDenied(view.path, 'read')) {
+        this.cancelListenerLater(listener);
+      } else if (this.isCached(view)) {
+        this.load(listener);
+        this.flush();
+      } else {
+        var db = this;
+        setTimeout(function () {
+          if (listener.active && !listener.loaded) {
+            db.load(listener);
+            db.flush();
+          }
+        }, LATENCY);
+      }
+    },
+
+    removeListeners: function (location, eventType, callback, context) {
+      var key = getQueryKey(location._query);
+
+      forEach(this.views.slice(0), function (view) {
+        if (!pathsEqual(view.path, location._path)) return;
+
+        // Refs remove listeners on every query at their location.
+        if (location._query && view.key !== key) return;
+
+        view.listeners = filter(view.listeners, function (listener) {
+          var matches = (!eventType || listener.eventType === eventType) &&
+                        (!callback || listener.callback === callback) &&
+                        (!context || listener.context === context);
+
+          if (matches) {
+            listener.active = false;
+          }
+
+          return !matches;
+        });
+
+        this.removeViewIfUnused(view);
+      }, this);
+    },
+
+    removeListener: function (listener) {
+      var view = listener.view;
+
+      listener.active = false;
+      view.listeners = filter(view.listeners, function (l) {
+        return l !== listener;
+      });
+
+      this.removeViewIfUnused(view);
+    },
+
+    getView: function (location) {
+      var key = getQueryKey(location._query);
+      var views = this.views;
+
+      for (var i = 0, len = views.length; i < len; ++i) {
+        if (views[i].key === key && pathsEqual(views[i].path, location._path)) {
+          return views[i];
+        }
+      }
+
+      var view = {
+        ref: location._query ? location._ref : location,
+        path: location._path,
+        query: location._query,
+        key: key,
+        listeners: []
+      };
+
+      view.node = this.computeView(view);
+      views.push(view);
+
+      return view;
+    },
+
+    removeViewIfUnused: function (view) {
+      if (view.listeners.length === 0) {
+        this.views = filter(this.views, function (v) {
+          return v !== view;
+        });
+      }
+    },
+
+    // A location is cached when a loaded listener exists for the same query
+    // or for a plain ref at the same location or any of its ancestors.
+    isCached: function (view) {
+      var views = this.views;
+
+      for (var i = 0, len = views.length; i < len; ++i) {
+        var other = views[i];
+
+        var covers = other.query ? other.key === view.key && pathsEqual(other.path, view.path) :
+                     isPathPrefix(other.path, view.path);
+
+        if (covers && hasLoadedListener(other)) {
+          return true;
+        }
+      }
+
+      return false;
+    },
+
+    computeView: function (view) {
+      return filterNode(getNode(this.root, view.path), view.query);
+    },
+
+    // Queues the initial events for a listener that has not yet received data.
+    load: function (listener) {
+      var view = listener.view;
+      var node = view.node;
+
+      listener.loaded = true;
+
+      if (listener.eventType === 'value') {
+        this.enqueue(listener, [ new DataSnapshot(view.ref, node) ]);
+      } else if (listener.eventType === 'child_added') {
+        var names = getSortedNames(node);
+
+        for (var i = 0, len = names.length; i < len; ++i) {
+          this.enqueue(listener, [ childSnapshot(view.ref, node, names[i]), i ? names[i - 1] : null ]);
+        }
+      }
+    },
+
+    write: function (writes, onComplete) {
+      for (var i = 0, len = writes.length; i < len; ++i) {
+        if (this.isDenied(writes[i].path, 'write')) {
+          callLater(onComplete, createPermissionError());
+          return;
+        }
+      }
+
+      var root = this.root;
+
+      forEach(writes, function (write) {
+        root = setNode(root, write.path, write.node);
+      });
+
+      this.root = root;
+
+      forEach(this.views.slice(0), function (view) {
+        var affected = false;
+
+        forEach(writes, function (write) {
+          affected = affected || isPathPrefix(write.path, view.path) || isPathPrefix(view.path, write.path);
+        });
+
+        if (affected) {
+          this.updateView(view);
+        }
+      }, this);
+
+      this.flush();
+
+      callLater(onComplete, null);
+    },
+
+    // Queues events for all changes to the data in the given view since it was
+    // last computed. Listeners that have not received any data yet are loaded
+    // with the new data instead.
+    updateView: function (view) {
+      var oldNode = view.node;
+      var newNode = this.computeView(view);
+
+      view.node = newNode;
+
+      var events = diffNodes(view.ref, oldNode, newNode);
+
+      forEach(view.listeners.slice(0), function (listener) {
+        if (!listener.loaded) {
+          this.load(listener);
+          return;
+        }
+
+        forEach(events, function (event) {
+          if (event.eventType === listener.eventType) {
+            this.enqueue(listener, event.args);
+          }
+        }, this);
+      }, this);
+    },
+
+    enqueue: function (listener, args) {
+      this.queue.push({ listener: listener, args: args });
+    },
+
+    flush: function () {
+      if (this.flushing) return;
+
+      this.flushing = true;
+
+      try {
+        while (this.queue.length) {
+          var item = this.queue.shift();
+          var listener = item.listener;
+
+          if (!listener.active) continue;
+
+          if (listener.once) {
+            this.removeListener(listener);
+          }
+
+          invoke(listener.callback, listener.context, item.args);
+        }
+      } finally {
+        this.flushing = false;
+      }
+    }
+
+  };
+
+  function hasLoadedListener(view) {
+    for (var i = 0, len = view.listeners.length; i < len; ++i) {
+      if (view.listeners[i].loaded) return true;
+    }
+
+    return false;
+  }
+
+  // Returns the events that should be raised for listeners on a location
+  // when its data changes from oldNode to newNode, in the same order the real
+  // client raises them.
+  function diffNodes(ref, oldNode, newNode) {
+    var events = [];
+    var oldNames = getSortedNames(oldNode);
+    var newNames = getSortedNames(newNode);
+    var i, len, name;
+
+    for (i = 0, len = oldNames.length; i < len; ++i) {
+      name = oldNames[i];
+
+      if (!getChild(newNode, name)) {
+        events.push({ eventType: 'child_removed', args: [ childSnapshot(ref, oldNode, name) ] });
+      }
+    }
+
+    for (i = 0, len = newNames.length; i < len; ++i) {
+      name = newNames[i];
+
+      var previousName = i ? newNames[i - 1] : null;
+      var oldChild = getChild(oldNode, name);
+      var newChild = getChild(newNode, name);
+      var snapshot = new DataSnapshot(ref.child(name), newChild);
+
+      if (!oldChild) {
+        events.push({ eventType: 'child_added', args: [ snapshot, previousName ] });
+      } else {
+        if (!prioritiesEqual(oldChild.priority, newChild.priority)) {
+          events.push({ eventType: 'child_moved', args: [ snapshot, previousName ] });
+        }
+
+        if (!nodesEqual(oldChild, newChild, true)) {
+          events.push({ eventType: 'child_changed', args: [ snapshot, previousName ] });
+        }
+      }
+    }
+
+    if (!nodesEqual(oldNode, newNode)) {
+      events.push({ eventType: 'value', args: [ new DataSnapshot(ref, newNode) ] });
+    }
+
+    return events;
+  }
+
+  function childSnapshot(ref, node, name) {
+    return new DataSnapshot(ref.child(name), getChild(node, name));
+  }
+
+  /*
+   * Data nodes are immutable objects with either a primitive `value` or
+   * a hash of `children` nodes, and a `priority`. Empty locations are null.
+   */
+
+  function createNode(value, priority) {
+    if (value && typeof value === 'object' && '.priority' in value) {
+      priority = value['.priority'];
+    }
+
+    if (priority === undefined) {
+      priority = null;
+    }
+
+    if (value && typeof value === 'object' && '.value' in value) {
+      value = value['.value'];
+    }
+
+    if (value && typeof value === 'object' && value['.sv'] === 'timestamp') {
+      value = new Date().getTime();
+    }
+
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    if (typeof value !== 'object') {
+      return { value: value, priority: priority };
+    }
+
+    var children = {}, hasChildren = false;
+
+    for (var name in value) {
+      if (value.hasOwnProperty(name) && name.charAt(0) !== '.') {
+        var child = createNode(value[name]);
+
+        if (child) {
+          children[name] = child;
+          hasChildren = true;
+        }
+      }
+    }
+
+    return hasChildren ? { children: children, priority: priority } : null;
+  }
+
+  function getChild(node, name) {
+    return (node && node.children && node.children.hasOwnProperty(name) && node.children[name]) || null;
+  }
+
+  function getNode(node, path) {
+    for (var i = 0, len = path.length; node && i < len; ++i) {
+      node = getChild(node, path[i]);
+    }
+
+    return node || null;
+  }
+
+  // Returns a copy of node with the given node at path.
+  function setNode(node, path, newNode) {
+    if (path.length === 0) {
+      return newNode;
+    }
+
+    var name = path[0];
+    var children = {}, hasChildren = false;
+
+    if (node && node.children) {
+      for (var key in node.children) {
+        children[key] = node.children[key];
+      }
+    }
+
+    var child = setNode(getChild(node, name), path.slice(1), newNode);
+
+    if (child) {
+      children[name] = child;
+    } else {
+      delete children[name];
+    }
+
+    for (var childName in children) {
+      hasChildren = true;
+      break;
+    }
+
+    return hasChildren ? { children: children, priority: node ? node.priority : null } : null;
+  }
+
+  function getNodeValue(node) {
+    if (!node) return null;
+    if (!node.children) return node.value;
+
+    var names = [], name;
+    for (name in node.children) {
+      names.push(name);
+    }
+
+    var value = isArrayLike(names) ? [] : {};
+
+    for (var i = 0, len = names.length; i < len; ++i) {
+      name = names[i];
+      value[name] = getNodeValue(node.children[name]);
+    }
+
+    return value;
+  }
+
+  // Firebase returns objects whose keys are all integers as arrays as long
+  // as more than half of the keys between 0 and the largest key are present.
+  function isArrayLike(names) {
+    var max = -1;
+
+    for (var i = 0, len = names.length; i < len; ++i) {
+      if (!/^(0|[1-9]\d*)$/.test(names[i])) return false;
+      max = Math.max(max, parseInt(names[i], 10));
+    }
+
+    return max < names.length * 2;
+  }
+
+  function exportNode(node) {
+    if (!node) return null;
+
+    var value;
+
+    if (node.children) {
+      value = {};
+      for (var name in node.children) {
+        value[name] = exportNode(node.children[name]);
+      }
+    } else if (node.priority !== null) {
+      value = { '.value': node.value };
+    } else {
+      return node.value;
+    }
+
+    if (node.priority !== null) {
+      value['.priority'] = node.priority;
+    }
+
+    return value;
+  }
+
+  function nodesEqual(a, b, ignorePriority) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+    if (!ignorePriority && !prioritiesEqual(a.priority, b.priority)) return false;
+    if (!a.children || !b.children) return !a.children && !b.children && a.value === b.value;
+
+    var name;
+
+    for (name in a.children) {
+      if (!nodesEqual(a.children[name], getChild(b, name))) return false;
+    }
+
+    for (name in b.children) {
+      if (!getChild(a, name)) return false;
+    }
+
+    return true;
+  }
+
+  /*
+   * Ordering and queries. Children are ordered first by priority (no
+   * priority, then numbers, then strings) and then by name.
+   */
+
+  function prioritiesEqual(a, b) {
+    return (a === undefined ? null : a) === (b === undefined ? null : b);
+  }
+
+  function priorityRank(priority) {
+    return priority === null || priority === undefined ? 0 : typeof priority === 'number' ? 1 : 2;
+  }
+
+  function comparePriorities(a, b) {
+    var rankA = priorityRank(a), rankB = priorityRank(b);
+
+    if (rankA !== rankB) return rankA - rankB;
+    if (rankA === 0 || a === b) return 0;
+
+    return a < b ? -1 : 1;
+  }
+
+  function compareNames(a, b) {
+    var intA = /^-?\d{1,10}$/.test(a), intB = /^-?\d{1,10}$/.test(b);
+
+    if (intA && intB) {
+      return parseInt(a, 10) - parseInt(b, 10);
+    }
+
+    if (intA !== intB) {
+      return intA ? -1 : 1;
+    }
+
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+
+  function compareChildren(node, a, b) {
+    return comparePriorities(node.children[a].priority, node.children[b].priority) || compareNames(a, b);
+  }
+
+  function getSortedNames(node) {
+    var names = [];
+
+    if (node && node.children) {
+      for (var name in node.children) {
+        names.push(name);
+      }
+
+      names.sort(function (a, b) {
+        return compareChildren(node, a, b);
+      });
+    }
+
+    return names;
+  }
+
+  // Compares a child to a query bound. Bounds without a name match every
+  // child with the bound's priority.
+  function compareToBound(node, name, bound) {
+    return comparePriorities(node.children[name].priority, bound.priority) ||
+           (bound.name == null ? 0 : compareNames(name, bound.name));
+  }
+
+  // Returns a node that only contains the children of node matching the query.
+  function filterNode(node, query) {
+    if (!query || !node || !node.children) {
+      return node;
+    }
+
+    var names = filter(getSortedNames(node), function (name) {
+      return (!query.startAt || compareToBound(node, name, query.startAt) >= 0) &&
+             (!query.endAt || compareToBound(node, name, query.endAt) <= 0);
+    });
+
+    // A limit takes the first children when the query only has a starting
+    // point, and the last children otherwise.
+    if (query.limit != null && names.length > query.limit) {
+      names = query.startAt && !query.endAt ? names.slice(0, query.limit) : names.slice(names.length - query.limit);
+    }
+
+    if (names.length === 0) {
+      return null;
+    }
+
+    var children = {};
+
+    forEach(names, function (name) {
+      children[name] = node.children[name];
+    });
+
+    return { children: children, priority: node.priority };
+  }
+
+  function getQueryKey(query) {
+    return query ? JSON.stringify(query) : '';
+  }
+
+  /*
+   * Utilities.
+   */
+
+  function createRef(host, path) {
+    var ref = Object.create(Firebase.prototype);
+    ref._host = host;
+    ref._path = path;
+    ref._db = getDatabase(host, path);
+    return ref;
+  }
+
+  function splitPath(path) {
+    return filter(String(path || '').split('/'), function (name) {
+      return name !== '';
+    });
+  }
+
+  function pathsEqual(a, b) {
+    return a.length === b.length && isPathPrefix(a, b);
+  }
+
+  function isPathPrefix(prefix, path) {
+    if (prefix.length > path.length) return false;
+
+    for (var i = 0, len = prefix.length; i < len; ++i) {
+      if (prefix[i] !== path[i]) return false;
+    }
+
+    return true;
+  }
+
+  // Generates chronologically ordered names for new children.
+  var lastPushTime = 0, lastRandomChars = [];
+
+  function generatePushName() {
+    var now = new Date().getTime();
+    var duplicateTime = (now === lastPushTime);
+    var timeChars = new Array(8);
+    var i;
+
+    lastPushTime = now;
+
+    for (i = 7; i >= 0; i--) {
+      timeChars[i] = PUSH_CHARS.charAt(now % 64);
+      now = Math.floor(now / 64);
+    }
+
+    if (!duplicateTime) {
+      for (i = 0; i < 12; i++) {
+        lastRandomChars[i] = Math.floor(Math.random() * 64);
+      }
+    } else {
+      // Increment the random characters so names created in the same
+      // millisecond remain ordered.
+      for (i = 11; i >= 0 && lastRandomChars[i] === 63; i--) {
+        lastRandomChars[i] = 0;
+      }
+
+      lastRandomChars[i]++;
+    }
+
+    var name = timeChars.join('');
+
+    for (i = 0; i < 12; i++) {
+      name += PUSH_CHARS.charAt(lastRandomChars[i]);
+    }
+
+    return name;
+  }
+
+  function createPermissionError() {
+    var error = new Error('PERMISSION_DENIED: Permission denied');
+    error.code = 'PERMISSION_DENIED';
+    return error;
+  }
+
+  function invoke(callback, context, args) {
+    try {
+      callback.apply(context, args);
+    } catch (error) {
+      // Like the real client, don't let one listener break the others.
+      setTimeout(function () {
+        throw error;
+      }, 0);
+    }
+  }
+
+  function callLater(callback) {
+    if (callback) {
+      var args = [].slice.call(arguments, 1);
+
+      setTimeout(function () {
+        callback.apply(undefined, args);
+      }, LATENCY);
+    }
+  }
+
+  function merge(target, source) {
+    for (var key in source) {
+      target[key] = source[key];
+    }
+  }
+
+  function map(array, callback) {
+    var result = [];
+
+    for (var i = 0, len = array.length; i < len; ++i) {
+      result.push(callback(array[i]));
+    }
+
+    return result;
+  }
+
+  function filter(array, callback) {
+    var result = [];
+
+    for (var i = 0, len = array.length; i < len; ++i) {
+      if (callback(array[i])) {
+        result.push(array[i]);
+      }
+    }
+
+    return result;
+  }
+
+  function forEach(array, callback, context) {
+    for (var i = 0, len = array.length; i < len; ++i) {
+      callback.call(context, array[i]);
+    }
+  }
+
+  global.Firebase = Firebase;
+
+}(this));
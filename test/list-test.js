@@ -27,6 +27,39 @@ describe('A Firebase.List', function () {
     });
   });
 
+  describe('when created', function () {
+    var isLoaded;
+    beforeEach(function () {
+      BASE_REF.off();
+      list = Firebase.List.create({ ref: BASE_REF });
+      isLoaded = list.get('isLoaded');
+    });
+
+    it('is not loaded', function () {
+      expect(isLoaded).to.equal(false);
+    });
+  });
+
+  describe('when the ref already has objects', function () {
+    beforeEach(function () {
+      return Firebase.set(BASE_REF, { a: 1, b: 2 });
+    });
+
+    describe('and it is ready', function () {
+      beforeEach(function () {
+        return list.ready();
+      });
+
+      it('is loaded', function () {
+        expect(list.get('isLoaded')).to.equal(true);
+      });
+
+      it('has all objects', function () {
+        expect(list.get('length')).to.equal(2);
+      });
+    });
+  });
+
   describe('with no objects', function () {
     it('has length 0', function () {
       expect(list.get('length')).to.equal(0);
@@ -134,6 +167,393 @@ describe('A Firebase.List', function () {
     });
   });
 
+  describe('when ordered', function () {
+    beforeEach(function () {
+      list = Firebase.List.create({ ref: BASE_REF, ordered: true });
+      list.pushObjects([ 'a', 'b', 'c' ]);
+    });
+
+    describe('when an object is inserted', function () {
+      beforeEach(function () {
+        list.insertAt(1, 'x');
+      });
+
+      it('puts the object at the given index', function () {
+        expect(list.toArray()).to.eql([ 'a', 'x', 'b', 'c' ]);
+      });
+
+      it('puts the object at the given index for other clients', function () {
+        var otherList = Firebase.List.create({ ref: BASE_REF });
+
+        return otherList.ready().then(function () {
+          expect(otherList.toArray()).to.eql([ 'a', 'x', 'b', 'c' ]);
+        });
+      });
+    });
+
+    describe('when an object is pushed with a promise', function () {
+      beforeEach(function () {
+        return list.pushObjectWithPromise('x');
+      });
+
+      it('puts the object at the end', function () {
+        expect(list.toArray()).to.eql([ 'a', 'b', 'c', 'x' ]);
+        expect(list.childPriorityAt(3)).to.be.above(list.childPriorityAt(2));
+      });
+    });
+
+    describe('when objects are added to the front', function () {
+      beforeEach(function () {
+        list.unshiftObjects([ 'x', 'y' ]);
+      });
+
+      it('puts the objects at the front', function () {
+        expect(list.toArray()).to.eql([ 'x', 'y', 'a', 'b', 'c' ]);
+      });
+    });
+
+    describe('when an object is replaced', function () {
+      beforeEach(function () {
+        list.replace(1, 1, [ 'x' ]);
+      });
+
+      it('puts the object at the same index', function () {
+        expect(list.toArray()).to.eql([ 'a', 'x', 'c' ]);
+      });
+    });
+
+    describe('when the priorities are too close together', function () {
+      beforeEach(function () {
+        list.set('rebalanceThreshold', 1);
+        list.insertAt(1, 'x');
+      });
+
+      it('rebalances the priorities', function () {
+        expect(list.toArray()).to.eql([ 'a', 'x', 'b', 'c' ]);
+        expect(list.childPriorityAt(0)).to.equal(1);
+        expect(list.childPriorityAt(2)).to.equal(2);
+        expect(list.childPriorityAt(3)).to.equal(3);
+      });
+    });
+  });
+
+  describe('when ordered after objects without priorities were added', function () {
+    beforeEach(function () {
+      list.pushObjects([ 'a', 'b', 'c' ]);
+      list.set('ordered', true);
+      list.insertAt(2, 'x');
+    });
+
+    it('puts the object at the given index', function () {
+      expect(list.toArray()).to.eql([ 'a', 'b', 'x', 'c' ]);
+    });
+  });
+
+  describe('when ordered and the priorities are one ulp apart', function () {
+    beforeEach(function () {
+      var t = 1381964237012.000244;
+      var ulp = Math.pow(2, -12);
+
+      BASE_REF.push().setWithPriority('p', t);
+      BASE_REF.push().setWithPriority('q', t + ulp);
+      BASE_REF.push().setWithPriority('r', t + 1 + ulp);
+
+      list = Firebase.List.create({ ref: BASE_REF, ordered: true });
+
+      return list.ready().then(function () {
+        list.insertAt(1, 'X');
+        list.insertAt(2, 'Y');
+      });
+    });
+
+    it('rebalances the priorities', function () {
+      expect(list.toArray()).to.eql([ 'p', 'X', 'Y', 'q', 'r' ]);
+      expect(list.childPriorityAt(0)).to.equal(1);
+    });
+
+    it('puts the objects at the given indexes for other clients', function () {
+      var otherList = Firebase.List.create({ ref: BASE_REF });
+
+      return otherList.ready().then(function () {
+        expect(otherList.toArray()).to.eql([ 'p', 'X', 'Y', 'q', 'r' ]);
+      });
+    });
+  });
+
+  describe('when ordered with a query', function () {
+    beforeEach(function () {
+      for (var i = 0; i < 5; ++i) {
+        BASE_REF.child('v' + i).setWithPriority('v' + i, i * 10);
+      }
+
+      list = Firebase.List.create({ ref: BASE_REF, ordered: true, limit: 2 });
+
+      return list.ready();
+    });
+
+    it('cannot be rebalanced', function () {
+      expect(function () {
+        list.rebalance();
+      }).to.throw(/only includes some of the children/);
+    });
+
+    it('keeps the order of all children', function () {
+      try {
+        list.rebalance();
+      } catch (e) {}
+
+      var otherList = Firebase.List.create({ ref: BASE_REF });
+
+      return otherList.ready().then(function () {
+        expect(otherList.toArray()).to.eql([ 'v0', 'v1', 'v2', 'v3', 'v4' ]);
+      });
+    });
+  });
+
+  describe('when an object is moved', function () {
+    var otherList;
+    beforeEach(function () {
+      list.pushObjects([ 'a', 'b', 'c', 'd' ]);
+      otherList = Firebase.List.create({ ref: BASE_REF });
+    });
+
+    describe('forward', function () {
+      beforeEach(function () {
+        return list.moveObject(0, 2);
+      });
+
+      it('puts the object at the given index', function () {
+        expect(list.toArray()).to.eql([ 'b', 'c', 'a', 'd' ]);
+      });
+
+      it('puts the object at the given index for other clients', function () {
+        expect(otherList.toArray()).to.eql([ 'b', 'c', 'a', 'd' ]);
+      });
+
+      it('keeps the names in order', function () {
+        expect(list.get('names').toArray()).to.eql(otherList.get('names').toArray());
+      });
+    });
+
+    describe('backward', function () {
+      beforeEach(function () {
+        return list.moveObject(3, 0);
+      });
+
+      it('puts the object at the given index', function () {
+        expect(list.toArray()).to.eql([ 'd', 'a', 'b', 'c' ]);
+      });
+    });
+
+    describe('to the end', function () {
+      beforeEach(function () {
+        return list.moveChild(list.childNameAt(1), 3);
+      });
+
+      it('puts the object at the given index', function () {
+        expect(list.toArray()).to.eql([ 'a', 'c', 'd', 'b' ]);
+      });
+    });
+
+    describe('more than once', function () {
+      beforeEach(function () {
+        list.moveObject(0, 3);
+        list.moveObject(0, 2);
+        return list.moveObject(3, 1);
+      });
+
+      it('puts the objects in the right order', function () {
+        expect(list.toArray()).to.eql([ 'c', 'a', 'd', 'b' ]);
+        expect(otherList.toArray()).to.eql([ 'c', 'a', 'd', 'b' ]);
+      });
+    });
+
+    describe('when its value is created from the snapshot', function () {
+      beforeEach(function () {
+        var upperCaseList = Firebase.List.create({
+          ref: BASE_REF,
+          createValueFromSnapshot: function (snapshot) {
+            return snapshot.val().toUpperCase();
+          }
+        });
+
+        return upperCaseList.moveObject(0, 2);
+      });
+
+      it('only writes priorities', function () {
+        expect(list.toArray()).to.eql([ 'b', 'c', 'a', 'd' ]);
+      });
+    });
+
+    describe('when the children have no priorities', function () {
+      beforeEach(function () {
+        return list.moveObject(0, 2);
+      });
+
+      it('rebalances the priorities first', function () {
+        expect(list.childPriorityAt(0)).to.equal(2);
+        expect(list.childPriorityAt(1)).to.equal(3);
+        expect(list.childPriorityAt(3)).to.equal(4);
+      });
+    });
+
+    describe('when writing is forbidden', function () {
+      var error;
+      beforeEach(function () {
+        Firebase.denyAccess(BASE_REF, 'write');
+
+        return list.moveObject(0, 2).then(null, function (e) {
+          error = e;
+        });
+      });
+
+      afterEach(function () {
+        Firebase.grantAccess(BASE_REF);
+      });
+
+      it('rejects', function () {
+        expect(error).to.be.instanceof(Error);
+      });
+    });
+
+    it('throws when the index is out of range', function () {
+      expect(function () {
+        list.moveObject(0, 4);
+      }).to.throw(Error);
+    });
+  });
+
+  describe('with an itemType', function () {
+    var Item, item;
+    beforeEach(function () {
+      Item = Firebase.Hash.extend();
+      list = Firebase.List.create({ ref: BASE_REF, itemType: Item });
+      list.pushObject({ text: 'a' });
+      item = list.objectAt(0);
+    });
+
+    it('creates an instance for each child', function () {
+      expect(item).to.be.instanceof(Item);
+      expect(item.get('baseUrl')).to.equal(list.childRef(list.childNameAt(0)).toString());
+      expect(item.get('text')).to.equal('a');
+    });
+
+    describe('when a child changes', function () {
+      beforeEach(function () {
+        return Firebase.set(list.childRef(list.childNameAt(0)).child('text'), 'b');
+      });
+
+      it('reuses the same instance', function () {
+        expect(list.objectAt(0)).to.equal(item);
+        expect(item.get('text')).to.equal('b');
+      });
+    });
+
+    describe('when a child is moved', function () {
+      beforeEach(function () {
+        list.pushObject({ text: 'b' });
+        return list.moveObject(0, 1);
+      });
+
+      it('reuses the same instance', function () {
+        expect(list.objectAt(1)).to.equal(item);
+      });
+    });
+
+    describe('when a child is removed', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          list.removeAt(0);
+        });
+      });
+
+      it('destroys its instance', function () {
+        expect(item.get('isDestroyed')).to.equal(true);
+      });
+    });
+
+    describe('when the list is destroyed', function () {
+      beforeEach(function () {
+        Ember.run(list, 'destroy');
+      });
+
+      it('destroys all instances', function () {
+        expect(item.get('isDestroyed')).to.equal(true);
+      });
+    });
+  });
+
+  describe('with an itemType shared with another list', function () {
+    var otherList;
+    beforeEach(function () {
+      list = Firebase.List.create({ ref: BASE_REF, itemType: Firebase.Hash });
+      list.pushObject({ text: 'a' });
+      otherList = Firebase.List.create({ ref: BASE_REF, itemType: Firebase.Hash });
+    });
+
+    afterEach(function () {
+      Ember.run(function () {
+        list.destroy();
+        otherList.destroy();
+      });
+    });
+
+    it('shares its items', function () {
+      expect(otherList.objectAt(0)).to.equal(list.objectAt(0));
+    });
+
+    describe('when the other list is destroyed', function () {
+      beforeEach(function () {
+        Ember.run(otherList, 'destroy');
+      });
+
+      it('keeps its items', function () {
+        expect(list.objectAt(0).get('isDestroyed')).to.equal(false);
+        expect(list.objectAt(0).get('text')).to.equal('a');
+      });
+    });
+  });
+
+  describe('with values that are proxies', function () {
+    var item;
+    beforeEach(function () {
+      list = Firebase.List.create({
+        ref: BASE_REF,
+        createValueFromSnapshot: function (snapshot) {
+          return Firebase.Hash.create({ ref: snapshot.ref() });
+        }
+      });
+
+      list.pushObject({ text: 'a' });
+      item = list.objectAt(0);
+    });
+
+    describe('when a child changes', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          Firebase.set(list.childRef(list.childNameAt(0)).child('text'), 'b');
+        });
+      });
+
+      it('destroys the replaced proxy', function () {
+        expect(list.objectAt(0)).not.to.equal(item);
+        expect(item.get('isDestroyed')).to.equal(true);
+      });
+    });
+
+    describe('when a child is removed', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          list.removeAt(0);
+        });
+      });
+
+      it('destroys its proxy', function () {
+        expect(item.get('isDestroyed')).to.equal(true);
+      });
+    });
+  });
+
   describe('with a limit', function () {
     var limit, objects;
     beforeEach(function () {
@@ -170,6 +590,456 @@ describe('A Firebase.List', function () {
     });
   });
 
+  describe('with query properties', function () {
+    beforeEach(function () {
+      [ 'a', 'b', 'c', 'd' ].forEach(function (object, index) {
+        list.pushWithPriority(object, index + 1);
+      });
+
+      list = Firebase.List.create({ ref: BASE_REF, limit: 2 });
+      return list.ready();
+    });
+
+    it('listens to the resulting query', function () {
+      expect(list.get('query').ref().toString()).to.equal(list.get('baseUrl'));
+    });
+
+    it('contains only the objects in the query', function () {
+      expect(list.toArray()).to.eql([ 'c', 'd' ]);
+    });
+
+    describe('when the limit changes', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          list.set('limit', 3);
+        });
+
+        return list.ready();
+      });
+
+      it('contains the objects in the new query', function () {
+        expect(list.toArray()).to.eql([ 'b', 'c', 'd' ]);
+      });
+    });
+
+    describe('when a starting point is given', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          list.set('startAt', 2);
+        });
+
+        return list.ready();
+      });
+
+      it('contains the first objects after it', function () {
+        expect(list.toArray()).to.eql([ 'b', 'c' ]);
+      });
+    });
+
+    describe('when an ending point is given', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          list.setProperties({ limit: null, endAt: 2 });
+        });
+
+        return list.ready();
+      });
+
+      it('contains the objects before it', function () {
+        expect(list.toArray()).to.eql([ 'a', 'b' ]);
+      });
+    });
+
+    describe('when a starting name is given', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          list.setProperties({ limit: null, startAt: 3, startAtName: list.childNameAt(0) });
+        });
+
+        return list.ready();
+      });
+
+      it('contains the objects from that child on', function () {
+        expect(list.toArray()).to.eql([ 'c', 'd' ]);
+      });
+    });
+  });
+
+  describe('with a page size', function () {
+    var removedCount;
+    beforeEach(function () {
+      [ 'a', 'b', 'c', 'd', 'e' ].forEach(function (object, index) {
+        list.pushWithPriority(object, index + 1);
+      });
+
+      list = Firebase.List.create({ ref: BASE_REF, pageSize: 2 });
+
+      removedCount = 0;
+      list.addArrayObserver({
+        arrayWillChange: function (array, start, removeCount) {
+          removedCount += removeCount;
+        },
+        arrayDidChange: Ember.K
+      });
+
+      return list.ready();
+    });
+
+    it('contains the last page of objects', function () {
+      expect(list.toArray()).to.eql([ 'd', 'e' ]);
+    });
+
+    it('has more', function () {
+      expect(list.get('hasMore')).to.equal(true);
+    });
+
+    describe('when the previous page is loaded', function () {
+      beforeEach(function () {
+        return list.loadPrevious();
+      });
+
+      it('adds the objects before the first one', function () {
+        expect(list.toArray()).to.eql([ 'b', 'c', 'd', 'e' ]);
+      });
+
+      it('keeps the objects that were already loaded', function () {
+        expect(removedCount).to.equal(0);
+      });
+
+      it('has more', function () {
+        expect(list.get('hasMore')).to.equal(true);
+      });
+
+      it('still includes new objects', function () {
+        list.pushWithPriority('f', 6);
+        expect(list.get('lastObject')).to.equal('f');
+      });
+
+      describe('and then the page before it', function () {
+        beforeEach(function () {
+          return list.loadPrevious();
+        });
+
+        it('adds the remaining objects', function () {
+          expect(list.toArray()).to.eql([ 'a', 'b', 'c', 'd', 'e' ]);
+        });
+
+        it('does not have more', function () {
+          expect(list.get('hasMore')).to.equal(false);
+        });
+      });
+    });
+
+    describe('when the next page is loaded', function () {
+      beforeEach(function () {
+        return list.loadMore();
+      });
+
+      it('keeps the objects that were already loaded', function () {
+        expect(list.toArray()).to.eql([ 'd', 'e' ]);
+        expect(removedCount).to.equal(0);
+      });
+
+      it('does not have more', function () {
+        expect(list.get('hasMore')).to.equal(false);
+      });
+    });
+
+    describe('and a starting point', function () {
+      beforeEach(function () {
+        list = Firebase.List.create({ ref: BASE_REF, pageSize: 2, startAt: 1 });
+        return list.ready();
+      });
+
+      it('contains the first page of objects', function () {
+        expect(list.toArray()).to.eql([ 'a', 'b' ]);
+      });
+
+      describe('when the next page is loaded', function () {
+        beforeEach(function () {
+          return list.loadMore();
+        });
+
+        it('adds the objects after the last one', function () {
+          expect(list.toArray()).to.eql([ 'a', 'b', 'c', 'd' ]);
+        });
+
+        it('has more', function () {
+          expect(list.get('hasMore')).to.equal(true);
+        });
+      });
+
+      describe('when the previous page is loaded', function () {
+        beforeEach(function () {
+          return list.loadPrevious();
+        });
+
+        it('keeps the objects that were already loaded', function () {
+          expect(list.toArray()).to.eql([ 'a', 'b' ]);
+        });
+
+        it('does not have more', function () {
+          expect(list.get('hasMore')).to.equal(false);
+        });
+      });
+    });
+  });
+
+  describe('without a page size', function () {
+    it('cannot load more', function () {
+      expect(function () {
+        list.loadMore();
+      }).to.throw(Error);
+    });
+  });
+
+  describe('when sorted', function () {
+    var sorted;
+    beforeEach(function () {
+      list.pushObjects([ { n: 2 }, { n: 3 }, { n: 1 } ]);
+      sorted = list.sortedBy('n', 'desc');
+    });
+
+    afterEach(function () {
+      Ember.run(sorted, 'destroy');
+    });
+
+    function values() {
+      return sorted.mapBy('n');
+    }
+
+    it('contains the objects in order', function () {
+      expect(values()).to.eql([ 3, 2, 1 ]);
+    });
+
+    describe('when an object is added', function () {
+      beforeEach(function () {
+        list.pushObject({ n: 4 });
+      });
+
+      it('inserts it in order', function () {
+        expect(values()).to.eql([ 4, 3, 2, 1 ]);
+      });
+    });
+
+    describe('when an object changes', function () {
+      beforeEach(function () {
+        Firebase.set(list.childRef(list.childNameAt(0)), { n: 0 });
+      });
+
+      it('moves it into place', function () {
+        expect(values()).to.eql([ 3, 1, 0 ]);
+      });
+    });
+
+    describe('when an object is removed', function () {
+      beforeEach(function () {
+        list.removeAt(1);
+      });
+
+      it('removes it', function () {
+        expect(values()).to.eql([ 2, 1 ]);
+      });
+    });
+
+    describe('when the ref changes', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          list.set('ref', BASE_REF.child('other'));
+        });
+      });
+
+      it('is empty', function () {
+        expect(sorted.get('length')).to.equal(0);
+      });
+    });
+
+    describe('when destroyed', function () {
+      beforeEach(function () {
+        Ember.run(sorted, 'destroy');
+      });
+
+      it('is no longer updated', function () {
+        expect(function () {
+          list.pushObject({ n: 4 });
+        }).not.to.throw();
+      });
+    });
+
+    it('cannot be modified', function () {
+      expect(function () {
+        sorted.pushObject({ n: 5 });
+      }).to.throw(Error);
+    });
+  });
+
+  describe('when filtered', function () {
+    var filtered;
+    beforeEach(function () {
+      list.pushObjects([ 1, 2, 3, 4 ]);
+      filtered = list.filteredBy(function (n) {
+        return n % 2 === 0;
+      });
+    });
+
+    afterEach(function () {
+      Ember.run(filtered, 'destroy');
+    });
+
+    it('contains the matching objects in order', function () {
+      expect(filtered.toArray()).to.eql([ 2, 4 ]);
+    });
+
+    describe('when a matching object is added', function () {
+      beforeEach(function () {
+        list.pushObject(6);
+      });
+
+      it('includes it', function () {
+        expect(filtered.toArray()).to.eql([ 2, 4, 6 ]);
+      });
+    });
+
+    describe('when an object stops matching', function () {
+      beforeEach(function () {
+        Firebase.set(list.childRef(list.childNameAt(1)), 5);
+      });
+
+      it('removes it', function () {
+        expect(filtered.toArray()).to.eql([ 4 ]);
+      });
+    });
+
+    describe('when an object starts matching', function () {
+      beforeEach(function () {
+        Firebase.set(list.childRef(list.childNameAt(2)), 8);
+      });
+
+      it('includes it in list order', function () {
+        expect(filtered.toArray()).to.eql([ 2, 8, 4 ]);
+      });
+    });
+
+    describe('when an object is moved', function () {
+      beforeEach(function () {
+        list.moveObject(3, 0);
+      });
+
+      it('moves it', function () {
+        expect(filtered.toArray()).to.eql([ 4, 2 ]);
+      });
+    });
+  });
+
+  describe('when adding objects is forbidden', function () {
+    var error;
+    beforeEach(function (done) {
+      Firebase.denyAccess(BASE_REF, 'write');
+
+      list.one('didError', function (e) {
+        error = e;
+        done();
+      });
+
+      list.pushObject('a');
+    });
+
+    afterEach(function () {
+      Firebase.grantAccess(BASE_REF);
+    });
+
+    it('reports the error', function () {
+      expect(error.operation).to.equal('push');
+      expect(list.get('error')).to.equal(error);
+    });
+  });
+
+  describe('with timestamps', function () {
+    var startTime;
+    beforeEach(function () {
+      startTime = new Date().getTime();
+      list.set('timestamps', true);
+    });
+
+    describe('when an object is added', function () {
+      beforeEach(function () {
+        list.pushObject({ text: 'Hello' });
+        return list.pushWithPriority({ text: 'World', createdAt: 1234 }, 1);
+      });
+
+      it('writes the server time along with it', function () {
+        expect(list.objectAt(0).text).to.equal('Hello');
+        expect(list.objectAt(0).createdAt).to.be.at.least(startTime);
+      });
+
+      it('keeps a time that was given', function () {
+        expect(list.objectAt(1)).to.eql({ text: 'World', createdAt: 1234 });
+      });
+    });
+
+    describe('when a value that is not an object is added', function () {
+      beforeEach(function () {
+        return list.pushObjectWithPromise('a');
+      });
+
+      it('adds it as it is', function () {
+        expect(list.toArray()).to.eql([ 'a' ]);
+      });
+    });
+  });
+
+  describe('pushObjectWithPromise', function () {
+    var result, lastPushedName;
+    beforeEach(function () {
+      var promise = list.pushObjectWithPromise('a');
+      lastPushedName = list.get('lastPushedName');
+
+      return promise.then(function (value) {
+        result = value;
+      });
+    });
+
+    it('adds the object', function () {
+      expect(list.get('length')).to.equal(1);
+      expect(list.objectAt(0)).to.equal('a');
+    });
+
+    it('sets the last pushed name', function () {
+      expect(lastPushedName).to.equal(list.childNameAt(0));
+    });
+
+    it('resolves to the new child ref', function () {
+      expect(result.name()).to.equal(lastPushedName);
+    });
+  });
+
+  describe('removeAtWithPromise', function () {
+    var result, childName;
+    beforeEach(function () {
+      list.pushObjects([ 'a', 'b' ]);
+      childName = list.childNameAt(0);
+
+      return list.removeAtWithPromise(0).then(function (value) {
+        result = value;
+      });
+    });
+
+    it('removes the object', function () {
+      expect(list.get('length')).to.equal(1);
+      expect(list.objectAt(0)).to.equal('b');
+    });
+
+    it('resolves to the removed child ref', function () {
+      expect(result.name()).to.equal(childName);
+    });
+
+    it('throws when the index is out of range', function () {
+      expect(function () {
+        list.removeAtWithPromise(5);
+      }).to.throw(Error);
+    });
+  });
+
   describe('pushWithPriority', function () {
     beforeEach(function () {
       list.pushWithPriority(1, 2);
@@ -184,6 +1054,12 @@ describe('A Firebase.List', function () {
     it('adds objects in the correct order', function () {
       expect(list.get('firstObject')).to.equal(2);
     });
+
+    it('returns a promise for the new child ref', function () {
+      return list.pushWithPriority(3, 0).then(function (ref) {
+        expect(ref.name()).to.equal(list.childNameAt(0));
+      });
+    });
   });
 
 });
@@ -0,0 +1,217 @@
+describe('Firebase.Presence', function () {
+
+  it('has the correct string representation', function () {
+    expect(Firebase.Presence + '').to.equal('Firebase.Presence');
+  });
+
+  it('cannot be created without a ref', function () {
+    expect(function () {
+      Firebase.Presence.create({ userId: 'mj' });
+    }).to.throw(/ref is missing/);
+  });
+
+});
+
+describe('A Firebase.Presence', function () {
+
+  // Returns a promise that resolves once the given
+  // property of the given object has the given value.
+  function waitFor(object, key, value) {
+    return new Ember.RSVP.Promise(function (resolve) {
+      function check() {
+        if (object.get(key) === value) {
+          Ember.removeObserver(object, key, check);
+          resolve();
+        }
+      }
+
+      Ember.addObserver(object, key, check);
+      check();
+    });
+  }
+
+  function getSessions() {
+    return Firebase.get(BASE_REF.child('presence/mj')).then(function (value) {
+      return value || {};
+    });
+  }
+
+  var presence, startTime;
+  beforeEach(function () {
+    startTime = new Date().getTime();
+    presence = Firebase.Presence.create({ ref: BASE_REF, userId: 'mj' });
+    return waitFor(presence, 'isConnected', true);
+  });
+
+  afterEach(function () {
+    Firebase.goOnline();
+
+    Ember.run(function () {
+      presence.destroy();
+    });
+  });
+
+  it('adds a session for the user', function () {
+    var sessionName = presence.get('sessionRef').name();
+
+    return getSessions().then(function (sessions) {
+      expect(Ember.keys(sessions)).to.eql([ sessionName ]);
+    });
+  });
+
+  it('records the time the user was last seen', function () {
+    return Firebase.get(presence.lastSeenRef('mj')).then(function (value) {
+      expect(value).to.be.at.least(startTime);
+    });
+  });
+
+  it('lists the user as online', function () {
+    return presence.get('onlineUsers').ready().then(function (users) {
+      expect(users.get('names').toArray()).to.eql([ 'mj' ]);
+    });
+  });
+
+  describe('when the user has another session', function () {
+    var otherPresence;
+    beforeEach(function () {
+      otherPresence = Firebase.Presence.create({ ref: BASE_REF, userId: 'mj' });
+      return waitFor(otherPresence, 'isConnected', true);
+    });
+
+    afterEach(function () {
+      Ember.run(function () {
+        otherPresence.destroy();
+      });
+    });
+
+    it('adds a session for each one', function () {
+      return getSessions().then(function (sessions) {
+        expect(Ember.keys(sessions).length).to.equal(2);
+      });
+    });
+
+    describe('and one of them ends', function () {
+      beforeEach(function () {
+        Ember.run(function () {
+          otherPresence.destroy();
+        });
+      });
+
+      it('keeps the user online', function () {
+        return presence.get('onlineUsers').ready().then(function (users) {
+          expect(users.get('names').toArray()).to.eql([ 'mj' ]);
+        });
+      });
+    });
+  });
+
+  describe('when the client disconnects', function () {
+    var disconnectTime;
+    beforeEach(function () {
+      disconnectTime = new Date().getTime();
+      Firebase.goOffline();
+      return waitFor(presence, 'isConnected', false);
+    });
+
+    it('forgets the session', function () {
+      expect(presence.get('sessionRef')).to.equal(null);
+    });
+
+    it('removes the session', function () {
+      return getSessions().then(function (sessions) {
+        expect(sessions).to.eql({});
+      });
+    });
+
+    it('records the time the user was last seen', function () {
+      return Firebase.get(presence.lastSeenRef('mj')).then(function (value) {
+        expect(value).to.be.at.least(disconnectTime);
+      });
+    });
+
+    it('no longer lists the user as online', function () {
+      expect(presence.get('onlineUsers.names').toArray()).to.eql([]);
+    });
+
+    describe('and reconnects', function () {
+      beforeEach(function () {
+        Firebase.goOnline();
+        return waitFor(presence, 'isConnected', true);
+      });
+
+      it('adds a new session', function () {
+        var sessionName = presence.get('sessionRef').name();
+
+        return getSessions().then(function (sessions) {
+          expect(Ember.keys(sessions)).to.eql([ sessionName ]);
+        });
+      });
+    });
+  });
+
+  describe('when the user logs out', function () {
+    var logoutTime;
+    beforeEach(function () {
+      logoutTime = new Date().getTime();
+      presence.set('userId', null);
+    });
+
+    it('removes the session', function () {
+      expect(presence.get('sessionRef')).to.equal(null);
+
+      return getSessions().then(function (sessions) {
+        expect(sessions).to.eql({});
+      });
+    });
+
+    it('records the time the user was last seen', function () {
+      return Firebase.get(presence.lastSeenRef('mj')).then(function (value) {
+        expect(value).to.be.at.least(logoutTime);
+      });
+    });
+
+    describe('and the client disconnects', function () {
+      beforeEach(function () {
+        return Firebase.set(presence.lastSeenRef('mj'), 1).then(function () {
+          Firebase.goOffline();
+          return waitFor(presence, 'isConnected', false);
+        });
+      });
+
+      it('no longer records the time the user was last seen', function () {
+        return Firebase.get(presence.lastSeenRef('mj')).then(function (value) {
+          expect(value).to.equal(1);
+        });
+      });
+    });
+  });
+
+  describe('when another user logs in', function () {
+    beforeEach(function () {
+      presence.set('userId', 'sam');
+    });
+
+    it('moves the session to that user', function () {
+      expect(presence.get('sessionRef').parent().name()).to.equal('sam');
+
+      return presence.get('onlineUsers').ready().then(function (users) {
+        expect(users.get('names').toArray()).to.eql([ 'sam' ]);
+      });
+    });
+  });
+
+  describe('when destroyed', function () {
+    beforeEach(function () {
+      Ember.run(function () {
+        presence.destroy();
+      });
+    });
+
+    it('removes the session', function () {
+      return getSessions().then(function (sessions) {
+        expect(sessions).to.eql({});
+      });
+    });
+  });
+
+});
@@ -0,0 +1,66 @@
+/**
+ * Runs the tests from the command line. Loads every script in test/index.html
+ * into a simulated DOM in order, just like a browser would, and reports the
+ * results to stdout. Exits with a non-zero status if any test fails.
+ *
+ * Requires jsdom (https://github.com/jsdom/jsdom), which is installed
+ * as a dev dependency:
+ *
+ *   $ npm install
+ *   $ npm test
+ */
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var isTTY = Boolean(process.stdout.isTTY);
+var testDir = __dirname;
+var indexFile = path.join(testDir, 'index.html');
+
+var scripts = new JSDOM(fs.readFileSync(indexFile, 'utf8')).window.document.querySelectorAll('script');
+
+var dom = new JSDOM('<!DOCTYPE html><html><body><div id="mocha"></div></body></html>', {
+  url: 'http://localhost/',
+  runScripts: 'outside-only'
+});
+
+var window = dom.window;
+
+function runScript(source, name) {
+  window.eval(source + '\n//# sourceURL=' + name);
+}
+
+// Report to the console instead of the DOM and exit when the run is finished.
+function setupMocha() {
+  var Mocha = window.Mocha;
+  var run = window.mocha.run;
+
+  Mocha.process.stdout.write = function (string) {
+    process.stdout.write(string);
+  };
+
+  Mocha.reporters.Base.window.width = process.stdout.columns || 80;
+
+  // The spec reporter redraws lines, which only works in a terminal.
+  window.mocha.useColors(isTTY);
+  window.mocha.reporter(isTTY ? Mocha.reporters.Spec : Mocha.reporters.Dot);
+  window.mocha.run = function () {
+    return run.apply(this, arguments).on('end', function () {
+      process.exit(this.failures ? 1 : 0);
+    });
+  };
+}
+
+Array.prototype.forEach.call(scripts, function (script) {
+  var src = script.getAttribute('src');
+
+  if (!src) {
+    runScript(script.textContent, 'index.html');
+  } else if (!/^\w+:/.test(src)) {
+    runScript(fs.readFileSync(path.join(testDir, src), 'utf8'), src);
+
+    if (/(^|\/)mocha\.js$/.test(src)) {
+      setupMocha();
+    }
+  }
+});